@@ -81,10 +81,36 @@ check_source() {
         exit 1
     fi
     
+    if [[ ! -f "${SOURCE_DIR}/dataStore.js" ]]; then
+        print_error "dataStore.js not found in source directory"
+        exit 1
+    fi
+    
+    if [[ ! -f "${SOURCE_DIR}/logger.js" ]]; then
+        print_error "logger.js not found in source directory"
+        exit 1
+    fi
+    
     if [[ ! -f "${SOURCE_DIR}/metadata.json" ]]; then
         print_error "metadata.json not found in source directory"
         exit 1
     fi
+    
+    if [[ ! -d "${SOURCE_DIR}/schemas" ]]; then
+        print_error "schemas directory not found in source directory"
+        exit 1
+    fi
+}
+
+# Compile the GSettings schemas in the installed extension
+compile_schemas() {
+    if command -v glib-compile-schemas &> /dev/null; then
+        print_info "Compiling GSettings schemas..."
+        glib-compile-schemas "${INSTALL_DIR}/schemas"
+    else
+        print_error "glib-compile-schemas not found. Install your distribution's GLib development tools."
+        exit 1
+    fi
 }
 
 # Check if extension is currently enabled
@@ -145,9 +171,12 @@ install_extension() {
     print_info "Copying extension files to ${INSTALL_DIR}"
     cp -r "${SOURCE_DIR}" "${INSTALL_DIR}"
     
+    compile_schemas
+    
     # Set permissions
-    chmod 755 "${INSTALL_DIR}"
-    chmod 644 "${INSTALL_DIR}"/*
+    find "${INSTALL_DIR}" -type d -exec chmod 755 {} +
+    find "${INSTALL_DIR}" -type f -exec chmod 644 {} +
+    chmod 755 "${INSTALL_DIR}/cli.js"
     
     if $is_update; then
         print_success "Extension updated successfully!"
@@ -0,0 +1,515 @@
+#!/usr/bin/env -S gjs -m
+/**
+ * Window Size Tracker - Command-line tool
+ *
+ * Lists, inspects and edits saved window geometry. Talks to the running
+ * extension over D-Bus when it is enabled, and otherwise reads and writes
+ * window-sizes.json directly through the extension's WindowDataStore, so
+ * the file is never edited behind the back of a running extension.
+ *
+ * Run without arguments for usage.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import System from 'system';
+
+import {WindowDataStore, LEGACY_LAYOUT_KEY, IMPORT_STRATEGIES, normalizeWindowId} from './dataStore.js';
+import {setLogLevel} from './logger.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const EXTENSION_DIR = GLib.path_get_dirname(GLib.filename_from_uri(import.meta.url)[0]);
+
+const DBUS_NAME = 'org.gnome.Shell';
+const DBUS_OBJECT_PATH = '/org/gnome/Shell/Extensions/WindowSizeTracker';
+const DBUS_INTERFACE = 'org.gnome.Shell.Extensions.WindowSizeTracker';
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: cli.js <command> [arguments]
+
+Commands:
+  list                           List the IDs of all saved entries
+  show <id>                      Print a saved entry as JSON
+  set <id> <W>x<H>[+X+Y] [MON]   Save a size, and optionally a position
+                                 relative to the work area of monitor MON
+  forget <id>                    Remove a saved entry
+  prune                          Remove expired entries now
+  snapshot list                  List the named window arrangements
+  snapshot save|apply <name>     Capture the open windows' arrangement, or
+                                 move them back into it (needs GNOME Shell)
+  snapshot delete <name>         Remove a named arrangement
+  export [--app=ID]... [FILE]    Write all entries, or those of the given
+                                 apps, to FILE (default: stdout)
+  import [--strategy=S] FILE     Merge the entries in FILE, keeping the
+                                 newest (default), imported or local
+                                 geometry where both have one
+  events [--type=T]...           Print the recent tracker events as JSON,
+                                 all or those of the given types, for
+                                 bug reports (needs GNOME Shell)
+
+IDs are app IDs in any case, with or without ".desktop", e.g.
+org.gnome.TextEditor, optionally followed by "#N" or "/IDENTITY".`;
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+
+/**
+ * Accesses saved geometry through the D-Bus interface of the running
+ * extension. Geometry set this way goes into the current monitor layout.
+ */
+class DBusBackend {
+    /**
+     * Connects to the running extension.
+     * @returns {DBusBackend|null} The backend, or null if the extension
+     *   isn't running
+     */
+    static connect() {
+        try {
+            const backend = new DBusBackend(Gio.DBus.session);
+            backend.listEntries();
+            return backend;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    constructor(connection) {
+        this._connection = connection;
+    }
+
+    /**
+     * Calls a method of the extension's interface.
+     * @returns {Array} The unpacked out arguments
+     */
+    _call(method, parameters = null, replyType = '()') {
+        try {
+            const reply = this._connection.call_sync(
+                DBUS_NAME,
+                DBUS_OBJECT_PATH,
+                DBUS_INTERFACE,
+                method,
+                parameters,
+                new GLib.VariantType(replyType),
+                Gio.DBusCallFlags.NONE,
+                -1,    // default timeout
+                null   // cancellable
+            );
+            return reply.recursiveUnpack();
+        } catch (e) {
+            Gio.DBusError.strip_remote_error(e);
+            throw e;
+        }
+    }
+
+    listEntries() {
+        return this._call('ListEntries', null, '(as)')[0];
+    }
+
+    getEntry(windowId) {
+        const [json] = this._call('GetEntry', new GLib.Variant('(s)', [windowId]), '(s)');
+        return JSON.parse(json);
+    }
+
+    setGeometry(windowId, geometry) {
+        const types = {width: 'i', height: 'i', x: 'i', y: 'i', monitor: 's'};
+        const fields = {};
+        for (const [key, type] of Object.entries(types)) {
+            if (geometry[key] !== undefined)
+                fields[key] = new GLib.Variant(type, geometry[key]);
+        }
+
+        return this._call('SetGeometry', new GLib.Variant('(sa{sv})', [windowId, fields]), '(b)')[0];
+    }
+
+    forget(windowId) {
+        return this._call('ForgetEntry', new GLib.Variant('(s)', [windowId]), '(b)')[0];
+    }
+
+    prune() {
+        return this._call('Prune', null, '(as)')[0];
+    }
+
+    listSnapshots() {
+        return this._call('ListSnapshots', null, '(as)')[0];
+    }
+
+    saveSnapshot(name) {
+        return this._call('SaveSnapshot', new GLib.Variant('(s)', [name]), '(u)')[0];
+    }
+
+    applySnapshot(name) {
+        return this._call('ApplySnapshot', new GLib.Variant('(s)', [name]), '(u)')[0];
+    }
+
+    deleteSnapshot(name) {
+        return this._call('DeleteSnapshot', new GLib.Variant('(s)', [name]), '(b)')[0];
+    }
+
+    exportEntries(apps) {
+        const [json] = this._call('ExportEntries', new GLib.Variant('(as)', [apps]), '(s)');
+        return JSON.parse(json);
+    }
+
+    importEntries(data, strategy) {
+        const [json] = this._call('ImportEntries', new GLib.Variant('(ss)', [JSON.stringify(data), strategy]), '(s)');
+        return JSON.parse(json);
+    }
+
+    getEvents() {
+        const [json] = this._call('GetEvents', null, '(s)');
+        return JSON.parse(json);
+    }
+
+    close() {
+    }
+}
+
+/**
+ * Accesses window-sizes.json directly, for when the extension isn't
+ * running. The monitor layout is unknown here, so geometry set this way
+ * is stored as a legacy entry that applies to any layout without its own.
+ */
+class FileBackend {
+    constructor(settings, uuid, readOnly) {
+        // Expired entries are only removed by the prune command, which
+        // reports them
+        this._store = new WindowDataStore(EXTENSION_DIR, uuid, settings, {readOnly, prune: false});
+    }
+
+    listEntries() {
+        return this._store.getWindowIds();
+    }
+
+    getEntry(windowId) {
+        const entry = this._store.getEntry(windowId);
+
+        if (!entry)
+            throw new Error(`No entry for "${windowId}"`);
+
+        return entry;
+    }
+
+    setGeometry(windowId, geometry) {
+        return this._store.set(windowId, LEGACY_LAYOUT_KEY, geometry);
+    }
+
+    forget(windowId) {
+        return this._store.forget(windowId);
+    }
+
+    prune() {
+        return this._store.prune();
+    }
+
+    listSnapshots() {
+        return this._store.getSnapshotNames();
+    }
+
+    saveSnapshot() {
+        throw new Error('Capturing a snapshot needs the extension running in GNOME Shell');
+    }
+
+    applySnapshot() {
+        throw new Error('Applying a snapshot needs the extension running in GNOME Shell');
+    }
+
+    deleteSnapshot(name) {
+        return this._store.deleteSnapshot(name);
+    }
+
+    exportEntries(apps) {
+        return this._store.exportEntries(apps);
+    }
+
+    importEntries(data, strategy) {
+        return this._store.importEntries(data, strategy);
+    }
+
+    getEvents() {
+        throw new Error('The event history is kept by the extension running in GNOME Shell');
+    }
+
+    /**
+     * Writes pending changes to disk.
+     */
+    close() {
+        this._store.destroy();
+    }
+}
+
+/**
+ * Loads the extension's settings, from its own schemas directory when
+ * the schema isn't installed system-wide.
+ */
+function loadSettings(schemaId) {
+    const defaultSource = Gio.SettingsSchemaSource.get_default();
+    const schemaDir = GLib.build_filenamev([EXTENSION_DIR, 'schemas']);
+
+    const source = GLib.file_test(GLib.build_filenamev([schemaDir, 'gschemas.compiled']), GLib.FileTest.EXISTS)
+        ? Gio.SettingsSchemaSource.new_from_directory(schemaDir, defaultSource, false)
+        : defaultSource;
+
+    const schema = source?.lookup(schemaId, true);
+    if (!schema)
+        throw new Error(`Schema ${schemaId} not found; run glib-compile-schemas on ${schemaDir}`);
+
+    return new Gio.Settings({settings_schema: schema});
+}
+
+/**
+ * Gets a backend for the running extension, or for the data file if it
+ * isn't running.
+ * @param {boolean} readOnly - Whether only reading commands are run, so
+ *   the data file is neither pruned nor rewritten
+ */
+function openBackend(readOnly) {
+    const dbusBackend = DBusBackend.connect();
+    if (dbusBackend)
+        return dbusBackend;
+
+    const [, contents] = GLib.file_get_contents(GLib.build_filenamev([EXTENSION_DIR, 'metadata.json']));
+    const metadata = JSON.parse(new TextDecoder('utf-8').decode(contents));
+
+    const settings = loadSettings(metadata['settings-schema']);
+    setLogLevel(settings.get_string('log-level'));
+
+    return new FileBackend(settings, metadata.uuid, readOnly);
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+/**
+ * Parses a geometry of the form WIDTHxHEIGHT[+X+Y].
+ * @returns {object|null} {width, height, x?, y?} or null if invalid
+ */
+function parseGeometry(text) {
+    const match = /^(\d+)x(\d+)(?:([+-]\d+)([+-]\d+))?$/.exec(text);
+    if (!match)
+        return null;
+
+    const [, width, height, x, y] = match;
+    return {
+        width: Number(width),
+        height: Number(height),
+        x: x !== undefined ? Number(x) : undefined,
+        y: y !== undefined ? Number(y) : undefined,
+    };
+}
+
+/**
+ * Splits arguments into positional ones and "--name=value" options.
+ * Options named in `allowed` are collected into arrays.
+ * @returns {object} {positional, options}
+ * @throws {Error} If an option isn't in `allowed`
+ */
+function parseArguments(args, allowed = []) {
+    const positional = [];
+    const options = Object.fromEntries(allowed.map(name => [name, []]));
+
+    for (const arg of args) {
+        const match = /^--([a-z-]+)=(.*)$/.exec(arg);
+
+        if (!match) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [, name, value] = match;
+        if (!allowed.includes(name))
+            throw new Error(`Unknown option --${name}`);
+        options[name].push(value);
+    }
+
+    return {positional, options};
+}
+
+/**
+ * Prints a report returned by importEntries().
+ */
+function printImportReport(report) {
+    const sections = [
+        ['Added', report.added],
+        ['Updated', report.updated],
+        ['Kept', report.kept],
+    ];
+
+    for (const [label, windowIds] of sections) {
+        if (windowIds.length > 0)
+            print(`${label} (${windowIds.length}): ${windowIds.join(', ')}`);
+    }
+
+    for (const {windowId, reason} of report.rejected)
+        print(`Rejected "${windowId}": ${reason}`);
+}
+
+// Commands by name: the allowed number of positional arguments, the
+// repeatable --options, whether the command only reads saved data (or a
+// function of its arguments telling so) and what it runs
+const COMMANDS = {
+    list: {
+        args: [0, 0],
+        readOnly: true,
+        run(backend) {
+            for (const windowId of backend.listEntries().sort())
+                print(windowId);
+        },
+    },
+
+    show: {
+        args: [1, 1],
+        readOnly: true,
+        run(backend, [windowId]) {
+            print(JSON.stringify(backend.getEntry(normalizeWindowId(windowId)), null, 2));
+        },
+    },
+
+    set: {
+        args: [2, 3],
+        run(backend, [id, geometryText, monitor]) {
+            const windowId = normalizeWindowId(id);
+            const geometry = parseGeometry(geometryText);
+            if (!geometry)
+                throw new Error(`Invalid geometry "${geometryText}", expected WIDTHxHEIGHT[+X+Y]`);
+
+            if (backend.setGeometry(windowId, {...geometry, monitor}))
+                print(`Saved ${geometryText} for "${windowId}"`);
+            else
+                print(`Not saved: "${windowId}" already has ${geometryText} or it is below the minimum window size`);
+        },
+    },
+
+    forget: {
+        args: [1, 1],
+        run(backend, [id]) {
+            const windowId = normalizeWindowId(id);
+            if (!backend.forget(windowId))
+                throw new Error(`No entry for "${windowId}"`);
+            print(`Forgot "${windowId}"`);
+        },
+    },
+
+    prune: {
+        args: [0, 0],
+        run(backend) {
+            const removed = backend.prune();
+            for (const windowId of removed)
+                print(`Removed "${windowId}"`);
+            print(`${removed.length} entries pruned`);
+        },
+    },
+
+    snapshot: {
+        args: [1, 2],
+        readOnly: ([action]) => action === 'list',
+        run(backend, [action, name]) {
+            if (action === 'list') {
+                for (const snapshotName of backend.listSnapshots())
+                    print(snapshotName);
+                return;
+            }
+
+            if (!['save', 'apply', 'delete'].includes(action) || name === undefined)
+                throw new Error('Expected "snapshot list" or "snapshot save|apply|delete <name>"');
+
+            if (action === 'save') {
+                print(`Saved ${backend.saveSnapshot(name)} windows as "${name}"`);
+            } else if (action === 'apply') {
+                print(`Arranged ${backend.applySnapshot(name)} windows as in "${name}"`);
+            } else {
+                if (!backend.deleteSnapshot(name))
+                    throw new Error(`No snapshot named "${name}"`);
+                print(`Deleted "${name}"`);
+            }
+        },
+    },
+
+    export: {
+        args: [0, 1],
+        options: ['app'],
+        readOnly: true,
+        run(backend, [path = '-'], {app}) {
+            const data = backend.exportEntries(app);
+            const json = JSON.stringify(data, null, 2);
+
+            if (path === '-') {
+                print(json);
+            } else {
+                GLib.file_set_contents(path, json);
+                printerr(`Exported ${Object.keys(data.entries).length} entries to ${path}`);
+            }
+        },
+    },
+
+    import: {
+        args: [1, 1],
+        options: ['strategy'],
+        run(backend, [path], {strategy}) {
+            if (strategy.length > 1)
+                throw new Error('Only one --strategy can be given');
+
+            const [, contents] = GLib.file_get_contents(path);
+            const data = JSON.parse(new TextDecoder('utf-8').decode(contents));
+
+            printImportReport(backend.importEntries(data, strategy[0] ?? IMPORT_STRATEGIES[0]));
+        },
+    },
+
+    events: {
+        args: [0, 0],
+        options: ['type'],
+        readOnly: true,
+        run(backend, args, {type}) {
+            const events = backend.getEvents()
+                .filter(event => type.length === 0 || type.includes(event.type));
+            print(JSON.stringify(events, null, 2));
+        },
+    },
+};
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function main(argv) {
+    const [commandName, ...args] = argv;
+    const command = COMMANDS[commandName];
+
+    let parsed;
+    try {
+        parsed = command ? parseArguments(args, command.options) : null;
+    } catch (e) {
+        printerr(`Error: ${e.message}`);
+    }
+
+    const count = parsed?.positional.length;
+    if (!parsed || count < command.args[0] || count > command.args[1]) {
+        printerr(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const readOnly = typeof command.readOnly === 'function'
+        ? command.readOnly(parsed.positional)
+        : Boolean(command.readOnly);
+
+    let backend;
+    try {
+        backend = openBackend(readOnly);
+        command.run(backend, parsed.positional, parsed.options);
+        return 0;
+    } catch (e) {
+        printerr(`Error: ${e.message}`);
+        return EXIT_FAILURE;
+    } finally {
+        backend?.close();
+    }
+}
+
+System.exit(main(ARGV));
@@ -0,0 +1,1110 @@
+/**
+ * Window Size Tracker - Data Store
+ *
+ * Persistent storage of saved window geometry in window-sizes.json.
+ * Only depends on GLib and Gio so it can be shared by the extension
+ * and the command-line tool (cli.js), which uses it when GNOME Shell
+ * isn't running.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import {logger} from './logger.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const LEGACY_LAYOUT_KEY = 'unknown';    // Layout key for entries saved before layouts were tracked
+export const DATA_SCHEMA_VERSION = 3;          // Current "version" of window-sizes.json
+const DATA_BACKUP_COUNT = 3;                   // Rotating backups kept of window-sizes.json
+const DATA_BACKUP_INTERVAL_MS = 60 * 60 * 1000; // Minimum age of the newest backup before rotating
+
+// How importEntries() resolves a layout or workspace saved on both sides
+export const IMPORT_STRATEGIES = [
+    'newest',    // Keep whichever was updated last
+    'imported',  // Prefer the imported value
+    'local',     // Prefer the local value, only add what is missing
+];
+
+// Migrations of window-sizes.json, indexed by the version they upgrade from.
+// Unversioned files (a flat map of window ID to entry) are version 0.
+const DATA_MIGRATIONS = [
+    // 0 -> 1: Wrap the flat map in {version, entries} and file entries saved
+    // before monitor layouts were tracked ({width, height, ...} directly
+    // under the window ID) under LEGACY_LAYOUT_KEY
+    data => {
+        const entries = {};
+        for (const [windowId, entry] of Object.entries(data)) {
+            if (!entry || typeof entry !== 'object')
+                continue;
+            entries[windowId] = entry.layouts
+                ? entry
+                : {layouts: {[LEGACY_LAYOUT_KEY]: entry}, lastUpdated: entry.lastUpdated ?? 0};
+        }
+        return {version: 1, entries};
+    },
+    // 1 -> 2: Add named snapshots of window arrangements
+    data => ({...data, version: 2, snapshots: {}}),
+    // 2 -> 3: Add the record of the apps open when the last session ended
+    data => ({...data, version: 3, session: null}),
+];
+
+// =============================================================================
+// WINDOW IDENTIFIERS
+// =============================================================================
+
+/**
+ * Normalizes a window identifier given by a user or another process to
+ * the form windows are saved under: the app ID part loses its ".desktop"
+ * suffix and is lowercased, e.g. "org.gnome.TextEditor.desktop#2" becomes
+ * "org.gnome.texteditor#2". Instance and sub-identity suffixes are kept.
+ * @param {string} windowId - The window identifier
+ * @returns {string} The normalized identifier
+ */
+export function normalizeWindowId(windowId) {
+    const [, appId, suffix] = /^([^#/]*)(.*)$/s.exec(windowId);
+    return appId.replace(/\.desktop$/i, '').toLowerCase() + suffix;
+}
+
+// =============================================================================
+// DATA STORAGE CLASS
+// =============================================================================
+
+/**
+ * Handles persistent storage of window size data to a JSON file.
+ * Uses synchronous read at startup for immediate availability,
+ * and debounced async writes during operation.
+ *
+ * The file carries a schema version and older files are migrated on load.
+ * Rotating backups (window-sizes.json.1 being the newest) are kept before
+ * overwriting; a corrupt file is quarantined and the newest valid backup
+ * is recovered instead of starting empty.
+ *
+ * A read-only store, e.g. for read-only commands of the command-line
+ * tool, neither prunes, quarantines nor writes anything. Stores opened
+ * with prune set to false leave expired entries for an explicit prune().
+ *
+ * Window identifiers passed to the public methods are normalized with
+ * normalizeWindowId(), so they may be given as desktop file IDs.
+ */
+export class WindowDataStore {
+    constructor(extensionPath, uuid, settings, {readOnly = false, prune = true} = {}) {
+        this._settings = settings;
+        this._readOnly = readOnly;
+        
+        // Store data in XDG_DATA_HOME for persistence
+        this._dataDir = GLib.build_filenamev([
+            GLib.get_user_data_dir(),
+            'gnome-shell-extensions',
+            uuid,
+        ]);
+        
+        this._dataFilePath = GLib.build_filenamev([
+            this._dataDir,
+            'window-sizes.json',
+        ]);
+        
+        this._data = {};
+        this._snapshots = {};
+        this._session = null;
+        this._saveTimeoutId = null;
+        this._dirty = false;
+        
+        // Cleared when the file was written by a newer version, so it isn't
+        // overwritten with data this version couldn't read
+        this._writable = !readOnly;
+        
+        // When the newest backup was made, to rotate at most once per interval
+        this._lastBackupTime = 0;
+        
+        this._settingsChangedIds = [
+            // Re-arm a pending save with the new delay when it is changed
+            this._settings.connect('changed::save-debounce-ms', () => {
+                if (this._saveTimeoutId !== null)
+                    this._scheduleSave();
+            }),
+            // Apply tightened retention limits right away
+            ...['retention-days', 'location-retention-days', 'max-entries'].map(key =>
+                this._settings.connect(`changed::${key}`, () => this.prune())),
+        ];
+        
+        // Ensure data directory exists
+        if (!readOnly)
+            GLib.mkdir_with_parents(this._dataDir, 0o755);
+        
+        // Load existing data synchronously at startup
+        this._loadSync();
+        
+        // Drop entries that expired while the extension wasn't running
+        if (prune && !readOnly)
+            this.prune();
+    }
+    
+    /**
+     * Checks if a window ID is location-based (GNOME dynamic association).
+     * These IDs are created for Nautilus windows showing specific locations.
+     */
+    static isLocationBasedId(windowId) {
+        if (!windowId) return false;
+        return windowId.startsWith('location:') ||
+               windowId.startsWith('mountable-volume:') ||
+               windowId.startsWith('network:');
+    }
+    
+    /**
+     * Loads data synchronously from disk.
+     * Used at startup to ensure data is immediately available.
+     */
+    _loadSync() {
+        this._data = {};
+        this._snapshots = {};
+        this._session = null;
+        
+        const file = Gio.File.new_for_path(this._dataFilePath);
+        
+        if (!file.query_exists(null))
+            return;
+        
+        this._lastBackupTime = this._getModifiedTime(this._getBackupPath(1));
+        
+        try {
+            ({entries: this._data, snapshots: this._snapshots, session: this._session} = this._readDataFile(this._dataFilePath));
+            const entryCount = Object.keys(this._data).length;
+            logger.info(`STATE LOADED FROM DISK: ${entryCount} entries from ${this._dataFilePath}`);
+            
+            // Write back migrated or cleaned-up data
+            if (this._dirty)
+                this._scheduleSave();
+            return;
+        } catch (e) {
+            if (e.newerVersion) {
+                // Leave the file alone for the version that wrote it
+                logger.error(`${e.message}; saving is disabled`);
+                this._writable = false;
+                return;
+            }
+            logger.error(`Error loading data: ${e.message}`);
+        }
+        
+        if (!this._readOnly)
+            this._quarantine(file);
+        this._recoverFromBackup();
+    }
+    
+    /**
+     * Reads, migrates and validates a data file.
+     * @param {string} path - Path of the data file or one of its backups
+     * @returns {object} {entries, snapshots, session} with the entries and
+     *   snapshots keyed by their ID or name
+     * @throws {Error} If the file is unreadable or invalid; error.newerVersion
+     *   is set when it was written by a newer schema version
+     */
+    _readDataFile(path) {
+        const [, contents] = Gio.File.new_for_path(path).load_contents(null);
+        const {entries, snapshots, session, version} = this._migrate(JSON.parse(new TextDecoder('utf-8').decode(contents)));
+        
+        if (version < DATA_SCHEMA_VERSION) {
+            this._dirty = true;
+            
+            // Always back up the pre-migration file before it is overwritten
+            this._lastBackupTime = 0;
+        }
+        
+        // Drop individual entries that can't be used rather than the whole file
+        for (const [windowId, entry] of Object.entries(entries)) {
+            if (typeof entry?.layouts !== 'object' || entry.layouts === null) {
+                logger.warn(`Dropping invalid entry "${windowId}"`);
+                delete entries[windowId];
+                this._dirty = true;
+            }
+        }
+        
+        return {entries, snapshots, session};
+    }
+    
+    /**
+     * Migrates parsed data in the file format to the current schema version.
+     * @param {object} data - The parsed data file or export
+     * @returns {object} {entries, snapshots, session, version} with the
+     *   entries keyed by window ID, the snapshots by name, the last
+     *   session's record (or null) and the version the data was migrated from
+     * @throws {Error} If the data is invalid; error.newerVersion is set when
+     *   it was written by a newer schema version
+     */
+    _migrate(data) {
+        if (typeof data !== 'object' || data === null || Array.isArray(data))
+            throw new Error('Invalid data format');
+        
+        const originalVersion = Number.isInteger(data.version) ? data.version : 0;
+        
+        if (originalVersion > DATA_SCHEMA_VERSION) {
+            const error = new Error(`Data file version ${originalVersion} is newer than supported version ${DATA_SCHEMA_VERSION}`);
+            error.newerVersion = true;
+            throw error;
+        }
+        
+        if (originalVersion < DATA_SCHEMA_VERSION) {
+            logger.info(`Migrating data from version ${originalVersion} to ${DATA_SCHEMA_VERSION}`);
+            for (let version = originalVersion; version < DATA_SCHEMA_VERSION; version++)
+                data = DATA_MIGRATIONS[version](data);
+        }
+        
+        const {entries, snapshots = {}, session = null} = data;
+        if (typeof entries !== 'object' || entries === null || Array.isArray(entries))
+            throw new Error('Invalid entries');
+        
+        // Exports carry no snapshots and no session
+        if (typeof snapshots !== 'object' || snapshots === null || Array.isArray(snapshots))
+            throw new Error('Invalid snapshots');
+        
+        if (typeof session !== 'object' || Array.isArray(session) ||
+            (session !== null && (typeof session.apps !== 'object' || session.apps === null)))
+            throw new Error('Invalid session');
+        
+        return {entries, snapshots, session, version: originalVersion};
+    }
+    
+    /**
+     * Moves a corrupt data file aside so it is kept for inspection but
+     * never overwritten.
+     */
+    _quarantine(file) {
+        const stamp = GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S');
+        const quarantinePath = `${this._dataFilePath}.corrupt-${stamp}`;
+        
+        try {
+            file.move(Gio.File.new_for_path(quarantinePath), Gio.FileCopyFlags.OVERWRITE, null, null);
+            logger.warn(`Corrupt data file moved to ${quarantinePath}`);
+        } catch (e) {
+            logger.error(`Error quarantining data file: ${e.message}`);
+        }
+    }
+    
+    /**
+     * Loads the newest backup that is valid, and writes it back as the
+     * data file. Starts empty if there is none.
+     */
+    _recoverFromBackup() {
+        for (let i = 1; i <= DATA_BACKUP_COUNT; i++) {
+            const backupPath = this._getBackupPath(i);
+            
+            if (!GLib.file_test(backupPath, GLib.FileTest.EXISTS))
+                continue;
+            
+            try {
+                ({entries: this._data, snapshots: this._snapshots, session: this._session} = this._readDataFile(backupPath));
+                logger.warn(`STATE RECOVERED: ${Object.keys(this._data).length} entries from ${backupPath}`);
+                this._scheduleSave();
+                return;
+            } catch (e) {
+                logger.warn(`Backup ${backupPath} is unusable: ${e.message}`);
+            }
+        }
+        
+        logger.warn('No valid backup found, starting empty');
+        this._data = {};
+        this._snapshots = {};
+        this._session = null;
+    }
+    
+    /**
+     * Gets the path of the nth most recent backup (1 is the newest).
+     */
+    _getBackupPath(n) {
+        return `${this._dataFilePath}.${n}`;
+    }
+    
+    /**
+     * Gets a file's modification time in milliseconds, or 0 if it doesn't exist.
+     */
+    _getModifiedTime(path) {
+        try {
+            const info = Gio.File.new_for_path(path).query_info('time::modified', Gio.FileQueryInfoFlags.NONE, null);
+            return info.get_modification_date_time().to_unix() * 1000;
+        } catch (e) {
+            return 0;
+        }
+    }
+    
+    /**
+     * Rotates the backups and copies the current data file to the newest
+     * one, at most once per DATA_BACKUP_INTERVAL_MS. Called before the
+     * data file is overwritten.
+     */
+    _rotateBackups() {
+        if (Date.now() - this._lastBackupTime < DATA_BACKUP_INTERVAL_MS)
+            return;
+        
+        const file = Gio.File.new_for_path(this._dataFilePath);
+        if (!file.query_exists(null))
+            return;
+        
+        try {
+            for (let i = DATA_BACKUP_COUNT - 1; i >= 1; i--) {
+                const backup = Gio.File.new_for_path(this._getBackupPath(i));
+                if (backup.query_exists(null))
+                    backup.move(Gio.File.new_for_path(this._getBackupPath(i + 1)), Gio.FileCopyFlags.OVERWRITE, null, null);
+            }
+            
+            file.copy(Gio.File.new_for_path(this._getBackupPath(1)), Gio.FileCopyFlags.OVERWRITE, null, null);
+            this._lastBackupTime = Date.now();
+        } catch (e) {
+            logger.error(`Error rotating backups: ${e.message}`);
+        }
+    }
+    
+    /**
+     * Serializes the entries with the current schema version.
+     */
+    _serialize() {
+        const jsonStr = JSON.stringify({
+            version: DATA_SCHEMA_VERSION,
+            entries: this._data,
+            snapshots: this._snapshots,
+            session: this._session,
+        }, null, 2);
+        return new TextEncoder().encode(jsonStr);
+    }
+    
+    /**
+     * Saves data asynchronously to disk.
+     * Called after debounce period.
+     */
+    async _saveAsync() {
+        if (!this._writable)
+            return;
+        
+        try {
+            const file = Gio.File.new_for_path(this._dataFilePath);
+            const bytes = this._serialize();
+            
+            this._rotateBackups();
+            
+            // Use replace_contents for atomic write
+            await new Promise((resolve, reject) => {
+                file.replace_contents_async(
+                    bytes,
+                    null,  // etag
+                    false, // make_backup
+                    Gio.FileCreateFlags.REPLACE_DESTINATION,
+                    null,  // cancellable
+                    (source, result) => {
+                        try {
+                            source.replace_contents_finish(result);
+                            resolve();
+                        } catch (e) {
+                            reject(e);
+                        }
+                    }
+                );
+            });
+            
+            logger.debug(`STATE SAVED TO DISK: ${this._dataFilePath}`);
+            
+            this._dirty = false;
+        } catch (e) {
+            logger.error(`Error saving data: ${e.message}`);
+        }
+    }
+    
+    /**
+     * Schedules a debounced save operation.
+     */
+    _scheduleSave() {
+        this._dirty = true;
+        
+        // Clear existing timeout
+        if (this._saveTimeoutId !== null) {
+            GLib.Source.remove(this._saveTimeoutId);
+            this._saveTimeoutId = null;
+        }
+        
+        // Schedule new save
+        this._saveTimeoutId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            this._settings.get_int('save-debounce-ms'),
+            () => {
+                this._saveTimeoutId = null;
+                this._saveAsync().catch(e => {
+                    logger.error(`Save failed: ${e.message}`);
+                });
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+    
+    /**
+     * Gets the stored geometry for a window identifier in a monitor layout.
+     * @param {string} windowId - The window identifier (wm_class based)
+     * @param {string} layoutKey - The monitor layout key
+     * @returns {object|null} Geometry {width, height, x?, y?, monitor?, workArea?}
+     *   or null if not found. x/y are relative to the monitor work area and
+     *   absent in older entries.
+     */
+    get(windowId, layoutKey) {
+        windowId = normalizeWindowId(windowId);
+        
+        return this._data[windowId]?.layouts[layoutKey] || null;
+    }
+    
+    /**
+     * Gets the stored geometry of a window identifier for every monitor
+     * layout it has been seen in.
+     * @param {string} windowId - The window identifier
+     * @returns {object} Map of layout key to geometry (empty if not found)
+     */
+    getLayouts(windowId) {
+        windowId = normalizeWindowId(windowId);
+        
+        return this._data[windowId]?.layouts || {};
+    }
+    
+    /**
+     * Sets the geometry for a window identifier in a monitor layout.
+     * Geometry saved for other layouts is kept.
+     * @param {string} windowId - The window identifier
+     * @param {string} layoutKey - The monitor layout key
+     * @param {object} geometry - {x, y, width, height, monitor, workArea,
+     *   scale, state}, with x/y relative to the work area of the window's
+     *   monitor, monitor the connector name, workArea the {width, height}
+     *   of that work area, scale the monitor's scale factor and state the
+     *   {maximized, fullscreen, above, sticky} flags plus tiled, the 'left'
+     *   or 'right' half the window is tiled to, or null. The geometry is
+     *   also stored as fractions of the work area.
+     * @returns {boolean} True if the stored geometry changed
+     */
+    set(windowId, layoutKey, geometry) {
+        windowId = normalizeWindowId(windowId);
+        
+        const {x, y, width, height, monitor, workArea, scale, state} = geometry;
+        
+        // Only save if values are reasonable
+        const minSize = this._settings.get_int('min-window-size');
+        if (width < minSize || height < minSize) {
+            return false;
+        }
+        
+        const existing = this.get(windowId, layoutKey);
+        
+        // Only save if changed
+        if (existing &&
+            existing.width === width && existing.height === height &&
+            existing.x === x && existing.y === y &&
+            existing.monitor === monitor &&
+            existing.workArea?.width === workArea?.width &&
+            existing.workArea?.height === workArea?.height &&
+            existing.scale === scale &&
+            this._isSameState(existing.state, state)) {
+            return false;
+        }
+        
+        const lastUpdated = Date.now();
+        const isNew = !this._data[windowId];
+        
+        if (isNew)
+            this._data[windowId] = {layouts: {}};
+        
+        this._data[windowId].layouts[layoutKey] = {
+            width,
+            height,
+            x,
+            y,
+            monitor,
+            workArea,
+            relative: this._getRelative({x, y, width, height}, workArea),
+            scale,
+            state,
+            lastUpdated,
+        };
+        this._data[windowId].lastUpdated = lastUpdated;
+        
+        logger.debug(`STATE SAVED: "${windowId}" [${layoutKey}] -> ${width}x${height} at (${x}, ${y}) on ${monitor}`);
+        
+        this._scheduleSave();
+        
+        // Keep within the entry limit
+        if (isNew)
+            this.prune();
+        
+        return true;
+    }
+    
+    /**
+     * Expresses geometry as fractions of the work area it is relative to,
+     * so it can be restored proportionally on a differently sized one.
+     * @returns {object|undefined} {x?, y?, width, height}, or undefined
+     *   without a work area
+     */
+    _getRelative(geometry, workArea) {
+        if (!workArea?.width || !workArea?.height)
+            return undefined;
+        
+        const fraction = (value, total) =>
+            Number.isInteger(value) ? Math.round(value / total * 10000) / 10000 : undefined;
+        
+        return {
+            x: fraction(geometry.x, workArea.width),
+            y: fraction(geometry.y, workArea.height),
+            width: fraction(geometry.width, workArea.width),
+            height: fraction(geometry.height, workArea.height),
+        };
+    }
+    
+    /**
+     * Sets only the state flags for a window identifier in a monitor layout,
+     * keeping its saved normal geometry. Used while a window is maximized or
+     * fullscreen and its frame doesn't reflect the normal geometry.
+     * @param {string} windowId - The window identifier
+     * @param {string} layoutKey - The monitor layout key
+     * @param {object} state - {maximized, fullscreen, above, sticky, tiled}
+     * @returns {boolean} True if the stored state changed
+     */
+    setState(windowId, layoutKey, state) {
+        windowId = normalizeWindowId(windowId);
+        
+        const existing = this.get(windowId, layoutKey);
+        
+        // Only save if changed
+        if (existing && this._isSameState(existing.state, state))
+            return false;
+        
+        const lastUpdated = Date.now();
+        
+        if (!this._data[windowId])
+            this._data[windowId] = {layouts: {}};
+        
+        this._data[windowId].layouts[layoutKey] = {
+            ...existing,
+            state,
+            lastUpdated,
+        };
+        this._data[windowId].lastUpdated = lastUpdated;
+        
+        logger.debug(`STATE SAVED: "${windowId}" [${layoutKey}] -> state ${JSON.stringify(state)}`);
+        
+        this._scheduleSave();
+        return true;
+    }
+    
+    /**
+     * Gets the workspace index last recorded for a window identifier.
+     * @param {string} windowId - The window identifier
+     * @returns {number|null} The workspace index, or null if not recorded
+     */
+    getWorkspace(windowId) {
+        windowId = normalizeWindowId(windowId);
+        
+        return this._data[windowId]?.workspace ?? null;
+    }
+    
+    /**
+     * Records the workspace index a window identifier was last on.
+     * Workspaces don't depend on the monitor layout, so the index is
+     * stored once per window identifier.
+     * @param {string} windowId - The window identifier
+     * @param {number} workspace - The workspace index
+     */
+    setWorkspace(windowId, workspace) {
+        windowId = normalizeWindowId(windowId);
+        
+        const entry = this._data[windowId];
+        
+        // Only save if changed; geometry is always saved first
+        if (!entry || entry.workspace === workspace)
+            return;
+        
+        entry.workspace = workspace;
+        
+        logger.debug(`STATE SAVED: "${windowId}" -> workspace ${workspace}`);
+        
+        this._scheduleSave();
+    }
+    
+    /**
+     * Gets the IDs of all stored entries.
+     * @returns {string[]} The window identifiers
+     */
+    getWindowIds() {
+        return Object.keys(this._data);
+    }
+    
+    /**
+     * Gets a copy of the complete stored entry for a window identifier.
+     * @param {string} windowId - The window identifier
+     * @returns {object|null} The entry {layouts, workspace?, lastUpdated,
+     *   lastUsed?} or null if not found
+     */
+    getEntry(windowId) {
+        windowId = normalizeWindowId(windowId);
+        
+        const entry = this._data[windowId];
+        return entry ? JSON.parse(JSON.stringify(entry)) : null;
+    }
+    
+    /**
+     * Replaces the complete stored entry for a window identifier.
+     * @param {string} windowId - The window identifier
+     * @param {object} entry - The entry, as returned by getEntry()
+     * @throws {Error} If the entry is invalid
+     */
+    setEntry(windowId, entry) {
+        if (typeof windowId !== 'string' || windowId.length === 0)
+            throw new Error('Window ID must be a non-empty string');
+        
+        windowId = normalizeWindowId(windowId);
+        
+        if (typeof entry?.layouts !== 'object' || entry.layouts === null)
+            throw new Error('Entry must have a "layouts" object');
+        
+        const minSize = this._settings.get_int('min-window-size');
+        for (const [layoutKey, geometry] of Object.entries(entry.layouts)) {
+            if (!this._isValidGeometry(geometry, minSize))
+                throw new Error(`Layout "${layoutKey}" needs integer width and height of at least ${minSize}`);
+        }
+        
+        this._data[windowId] = {
+            ...JSON.parse(JSON.stringify(entry)),
+            lastUpdated: entry.lastUpdated ?? Date.now(),
+        };
+        
+        logger.info(`STATE SAVED: "${windowId}" -> entry replaced`);
+        
+        this._scheduleSave();
+    }
+    
+    /**
+     * Checks a stored layout's geometry. Layouts holding only window state
+     * (saved while maximized) have no size and are valid.
+     */
+    _isValidGeometry(geometry, minSize) {
+        if (typeof geometry !== 'object' || geometry === null)
+            return false;
+        
+        if (geometry.width === undefined && geometry.height === undefined)
+            return true;
+        
+        return Number.isInteger(geometry.width) && Number.isInteger(geometry.height) &&
+               geometry.width >= minSize && geometry.height >= minSize;
+    }
+    
+    /**
+     * Checks whether a window ID belongs to one of the selected apps: the
+     * app's own ID, its per-instance IDs ("id#2") and its resolved
+     * sub-identities ("id/sub").
+     */
+    _isSelected(windowId, apps) {
+        return apps.some(app =>
+            windowId === app || windowId.startsWith(`${app}#`) || windowId.startsWith(`${app}/`));
+    }
+    
+    /**
+     * Exports entries in the data file format, to be merged into another
+     * store with importEntries().
+     * @param {string[]} [apps] - Only export the entries of these window
+     *   IDs (see _isSelected()); all entries if empty
+     * @returns {object} {version, exported, entries}
+     */
+    exportEntries(apps = []) {
+        apps = apps.map(normalizeWindowId);
+        const entries = {};
+        
+        for (const [windowId, entry] of Object.entries(this._data)) {
+            if (apps.length === 0 || this._isSelected(windowId, apps))
+                entries[windowId] = JSON.parse(JSON.stringify(entry));
+        }
+        
+        return {version: DATA_SCHEMA_VERSION, exported: Date.now(), entries};
+    }
+    
+    /**
+     * Merges exported entries into the store, layout by layout. Layouts
+     * and workspaces only present on one side are kept; where both sides
+     * have one, the strategy decides. Layouts with a size below
+     * min-window-size are dropped, and entries left without layouts are
+     * rejected. Entry keys are normalized with normalizeWindowId().
+     * @param {object} data - As returned by exportEntries(), or a data file
+     *   of an older version
+     * @param {string} strategy - One of IMPORT_STRATEGIES
+     * @returns {object} Report {added, updated, kept, rejected}: lists of
+     *   window IDs that were new, took imported values, were left as they
+     *   were, and {windowId, reason} of those that couldn't be imported
+     * @throws {Error} If the data or strategy is invalid
+     */
+    importEntries(data, strategy) {
+        if (!IMPORT_STRATEGIES.includes(strategy))
+            throw new Error(`Unknown strategy "${strategy}", expected one of ${IMPORT_STRATEGIES.join(', ')}`);
+        
+        const {entries} = this._migrate(data);
+        const minSize = this._settings.get_int('min-window-size');
+        const report = {added: [], updated: [], kept: [], rejected: []};
+        
+        // Whether the imported side of a conflict wins
+        const preferImported = (local, imported) => {
+            if (strategy === 'newest')
+                return (imported.lastUpdated ?? 0) > (local.lastUpdated ?? 0);
+            return strategy === 'imported';
+        };
+        
+        // Outcome of each imported entry by normalized ID. Keys that only
+        // differ in case or a ".desktop" suffix are merged into one entry
+        // like any other conflict, and reported once: as added if any of
+        // them added it, else as updated if any of them changed it
+        const outcomes = new Map();
+        const OUTCOMES = ['kept', 'updated', 'added'];
+        const recordOutcome = (windowId, outcome) => {
+            const previous = outcomes.get(windowId);
+            if (!previous || OUTCOMES.indexOf(outcome) > OUTCOMES.indexOf(previous))
+                outcomes.set(windowId, outcome);
+        };
+        
+        for (const [key, imported] of Object.entries(entries)) {
+            const windowId = normalizeWindowId(key);
+            
+            if (typeof imported?.layouts !== 'object' || imported.layouts === null) {
+                report.rejected.push({windowId, reason: 'no "layouts" object'});
+                continue;
+            }
+            
+            const layouts = Object.entries(imported.layouts)
+                .filter(([, geometry]) => this._isValidGeometry(geometry, minSize));
+            
+            if (layouts.length === 0) {
+                report.rejected.push({windowId, reason: `no layout with a width and height of at least ${minSize}`});
+                continue;
+            }
+            
+            const local = this._data[windowId];
+            
+            if (!local) {
+                this._data[windowId] = JSON.parse(JSON.stringify({
+                    ...imported,
+                    layouts: Object.fromEntries(layouts),
+                    lastUpdated: imported.lastUpdated ?? Date.now(),
+                }));
+                recordOutcome(windowId, 'added');
+                continue;
+            }
+            
+            let changed = false;
+            
+            for (const [layoutKey, geometry] of layouts) {
+                const existing = local.layouts[layoutKey];
+                if (!existing || preferImported(existing, geometry)) {
+                    local.layouts[layoutKey] = JSON.parse(JSON.stringify(geometry));
+                    changed = true;
+                }
+            }
+            
+            if (Number.isInteger(imported.workspace) && imported.workspace !== local.workspace &&
+                (local.workspace === undefined || preferImported(local, imported))) {
+                local.workspace = imported.workspace;
+                changed = true;
+            }
+            
+            if (changed) {
+                local.lastUpdated = Math.max(local.lastUpdated ?? 0, imported.lastUpdated ?? 0);
+                recordOutcome(windowId, 'updated');
+            } else {
+                recordOutcome(windowId, 'kept');
+            }
+        }
+        
+        for (const [windowId, outcome] of outcomes)
+            report[outcome].push(windowId);
+        
+        logger.info(`STATE IMPORTED (${strategy}): ${report.added.length} added, ${report.updated.length} updated, ${report.kept.length} kept, ${report.rejected.length} rejected`);
+        
+        if (report.added.length > 0 || report.updated.length > 0)
+            this._scheduleSave();
+        
+        return report;
+    }
+    
+    /**
+     * Removes the stored entry for a window identifier.
+     * @param {string} windowId - The window identifier
+     * @returns {boolean} True if there was an entry to remove
+     */
+    forget(windowId) {
+        windowId = normalizeWindowId(windowId);
+        
+        if (!this._data[windowId])
+            return false;
+        
+        delete this._data[windowId];
+        
+        logger.info(`STATE FORGOTTEN: "${windowId}"`);
+        
+        this._scheduleSave();
+        return true;
+    }
+    
+    /**
+     * Removes the stored entries of an app: its own ID, its per-instance
+     * IDs and its resolved sub-identities (see _isSelected()).
+     * @param {string} appId - The app's base window identifier
+     * @returns {string[]} The IDs of the removed entries
+     */
+    forgetApp(appId) {
+        appId = normalizeWindowId(appId);
+        
+        const removed = Object.keys(this._data).filter(windowId => this._isSelected(windowId, [appId]));
+        
+        // Deleted by their stored key, which forget() would normalize
+        for (const windowId of removed) {
+            delete this._data[windowId];
+            logger.info(`STATE FORGOTTEN: "${windowId}"`);
+        }
+        
+        if (removed.length > 0)
+            this._scheduleSave();
+        
+        return removed;
+    }
+    
+    /**
+     * Checks whether a window identifier's entry is locked, i.e. only
+     * changed on explicit request and never pruned.
+     * @param {string} windowId - The window identifier
+     */
+    isLocked(windowId) {
+        windowId = normalizeWindowId(windowId);
+        
+        return Boolean(this._data[windowId]?.locked);
+    }
+    
+    /**
+     * Locks or unlocks a window identifier's entry (see isLocked()).
+     * @param {string} windowId - The window identifier
+     * @param {boolean} locked - Whether to lock the entry
+     * @returns {boolean} False if there is no entry to lock
+     */
+    setLocked(windowId, locked) {
+        windowId = normalizeWindowId(windowId);
+        
+        const entry = this._data[windowId];
+        if (!entry)
+            return false;
+        
+        if (locked)
+            entry.locked = true;
+        else
+            delete entry.locked;
+        
+        logger.info(`STATE ${locked ? 'LOCKED' : 'UNLOCKED'}: "${windowId}"`);
+        
+        this._scheduleSave();
+        return true;
+    }
+    
+    /**
+     * Gets the names of all saved snapshots.
+     * @returns {string[]} The snapshot names, sorted
+     */
+    getSnapshotNames() {
+        return Object.keys(this._snapshots).sort();
+    }
+    
+    /**
+     * Gets a copy of a named snapshot of window arrangements.
+     * @param {string} name - The snapshot name
+     * @returns {object|null} The snapshot {windows, created} or null if not
+     *   found. windows maps storage IDs to geometry as stored by set(),
+     *   plus the window's workspace.
+     */
+    getSnapshot(name) {
+        const snapshot = this._snapshots[name];
+        return snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+    }
+    
+    /**
+     * Saves a named snapshot, replacing any with the same name.
+     * @param {string} name - The snapshot name
+     * @param {object} windows - Geometry keyed by storage ID (see getSnapshot())
+     * @throws {Error} If the name is empty
+     */
+    setSnapshot(name, windows) {
+        if (typeof name !== 'string' || name.trim().length === 0)
+            throw new Error('Snapshot name must be a non-empty string');
+        
+        this._snapshots[name] = {windows, created: Date.now()};
+        
+        logger.info(`SNAPSHOT SAVED: "${name}" with ${Object.keys(windows).length} windows`);
+        
+        this._scheduleSave();
+    }
+    
+    /**
+     * Removes a named snapshot.
+     * @param {string} name - The snapshot name
+     * @returns {boolean} True if there was a snapshot to remove
+     */
+    deleteSnapshot(name) {
+        if (!this._snapshots[name])
+            return false;
+        
+        delete this._snapshots[name];
+        
+        logger.info(`SNAPSHOT DELETED: "${name}"`);
+        
+        this._scheduleSave();
+        return true;
+    }
+    
+    /**
+     * Gets the record of the apps that were open when the last session
+     * ended.
+     * @returns {object|null} {apps, shellPid, bootId, saved} with the number of
+     *   open windows per desktop app ID, or null if none was recorded
+     */
+    getSession() {
+        return this._session ? JSON.parse(JSON.stringify(this._session)) : null;
+    }
+    
+    /**
+     * Records the apps open in the current session.
+     * @param {object} apps - The number of open windows per desktop app ID
+     * @param {number} shellPid - PID of the GNOME Shell process recording it
+     * @param {string|null} bootId - ID of the boot it was recorded in; with
+     *   the PID it tells a new login apart from the extension being re-enabled
+     */
+    setSession(apps, shellPid, bootId) {
+        if (this._session?.shellPid === shellPid && this._session.bootId === bootId &&
+            JSON.stringify(this._session.apps) === JSON.stringify(apps))
+            return;
+        
+        this._session = {apps, shellPid, bootId, saved: Date.now()};
+        
+        logger.debug(`SESSION SAVED: ${Object.keys(apps).join(', ') || 'no apps'}`);
+        
+        this._scheduleSave();
+    }
+    
+    /**
+     * Records that a window identifier's saved geometry was used for a
+     * restoration, so entries that are restored but never resized don't
+     * expire or get evicted.
+     * @param {string} windowId - The window identifier
+     */
+    markUsed(windowId) {
+        windowId = normalizeWindowId(windowId);
+        
+        const entry = this._data[windowId];
+        if (!entry)
+            return;
+        
+        entry.lastUsed = Date.now();
+        this._scheduleSave();
+    }
+    
+    /**
+     * Gets when an entry was last saved or restored.
+     */
+    _getLastActivity(entry) {
+        return Math.max(entry.lastUpdated ?? 0, entry.lastUsed ?? 0);
+    }
+    
+    /**
+     * Removes expired entries, then evicts the least recently used ones
+     * beyond the entry limit. Location-based IDs (one per Nautilus folder)
+     * have their own, usually shorter, retention period. Locked entries
+     * are kept. A retention or limit of 0 disables that check.
+     * @returns {string[]} The IDs of the removed entries
+     */
+    prune() {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        const appRetentionDays = this._settings.get_int('retention-days');
+        const locationRetentionDays = this._settings.get_int('location-retention-days');
+        const maxEntries = this._settings.get_int('max-entries');
+        const removed = [];
+        
+        for (const [windowId, entry] of Object.entries(this._data)) {
+            if (entry.locked)
+                continue;
+            
+            const retentionDays = WindowDataStore.isLocationBasedId(windowId)
+                ? locationRetentionDays
+                : appRetentionDays;
+            
+            if (retentionDays > 0 && now - this._getLastActivity(entry) > retentionDays * DAY_MS) {
+                delete this._data[windowId];
+                removed.push(windowId);
+            }
+        }
+        
+        const windowIds = Object.keys(this._data).filter(windowId => !this._data[windowId].locked);
+        if (maxEntries > 0 && windowIds.length > maxEntries) {
+            windowIds.sort((a, b) =>
+                this._getLastActivity(this._data[a]) - this._getLastActivity(this._data[b]));
+            
+            for (const windowId of windowIds.slice(0, windowIds.length - maxEntries)) {
+                delete this._data[windowId];
+                removed.push(windowId);
+            }
+        }
+        
+        if (removed.length > 0) {
+            logger.info(`STATE PRUNED: ${removed.length} entries (${removed.join(', ')})`);
+            this._scheduleSave();
+        }
+        
+        return removed;
+    }
+    
+    /**
+     * Compares two sets of window state flags.
+     */
+    _isSameState(a, b) {
+        return ['maximized', 'fullscreen', 'above', 'sticky']
+            .every(flag => Boolean(a?.[flag]) === Boolean(b?.[flag])) &&
+               (a?.tiled ?? null) === (b?.tiled ?? null);
+    }
+    
+    /**
+     * Forces an immediate save (used during disable).
+     */
+    saveImmediately() {
+        if (this._saveTimeoutId !== null) {
+            GLib.Source.remove(this._saveTimeoutId);
+            this._saveTimeoutId = null;
+        }
+        
+        if (this._dirty && this._writable) {
+            // Synchronous save for disable
+            try {
+                const file = Gio.File.new_for_path(this._dataFilePath);
+                const bytes = this._serialize();
+                this._rotateBackups();
+                file.replace_contents(
+                    bytes,
+                    null,
+                    false,
+                    Gio.FileCreateFlags.REPLACE_DESTINATION,
+                    null
+                );
+                this._dirty = false;
+            } catch (e) {
+                logger.error(`Error in immediate save: ${e.message}`);
+            }
+        }
+    }
+    
+    /**
+     * Cleans up resources.
+     */
+    destroy() {
+        for (const id of this._settingsChangedIds)
+            this._settings.disconnect(id);
+        this._settingsChangedIds = [];
+        
+        this.saveImmediately();
+        
+        if (this._saveTimeoutId !== null) {
+            GLib.Source.remove(this._saveTimeoutId);
+            this._saveTimeoutId = null;
+        }
+    }
+}
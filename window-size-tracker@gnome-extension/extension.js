@@ -5,238 +5,684 @@
  * and restores them when the applications are relaunched.
  * Persists across GNOME sessions. Wayland-only.
  * 
- * All logic is contained in this single file.
+ * All tracking logic is contained in this file; persistence lives in
+ * dataStore.js and logging in logger.js. Tunables are read from the
+ * extension's GSettings schema and edited in prefs.js.
  */
 
 import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
 import Gio from 'gi://Gio';
 import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
 
 import {Extension} from 'resource:///org/gnome/shell/extensions/extension.js';
+import {EventEmitter} from 'resource:///org/gnome/shell/misc/signals.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import {QuickMenuToggle, SystemIndicator} from 'resource:///org/gnome/shell/ui/quickSettings.js';
+
+import {WindowDataStore, normalizeWindowId} from './dataStore.js';
+import {EventHistory, logger, setLogLevel} from './logger.js';
 
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
-const SAVE_DEBOUNCE_MS = 1000;          // Debounce time for saving to disk
-const SIZE_CHANGE_DEBOUNCE_MS = 500;    // Debounce time for size change events
+// User-tunable values (debounce delays, minimum size, restore tolerance, ...)
+// live in the GSettings schema and are read on use, so changes apply live.
+
 const WINDOW_READY_TIMEOUT_MS = 100;    // Time to wait for window to become ready
 const WINDOW_READY_MAX_ATTEMPTS = 50;   // Max attempts to wait for window ready
-const RESTORE_FALLBACK_DELAY_MS = 50;   // Fallback delay if first-frame doesn't fire
-const MIN_WINDOW_SIZE = 50;             // Minimum valid window dimension
-const NAUTILUS_LOCATION_WAIT_MS = 100;  // Interval to wait for Nautilus location ID
-const NAUTILUS_LOCATION_MAX_ATTEMPTS = 5; // Max attempts (500ms total)
+const IDENTITY_POLL_INTERVAL_MS = 100;  // Interval to poll identity resolvers on new windows
+const MAX_RESTORE_ATTEMPTS = 5;         // Max attempts to apply saved geometry to a new window
+const RESTORE_RETRY_DELAY_MS = 50;      // Delay between restoration attempts
+const LAYOUT_SETTLE_MS = 1000;          // Quiet time after monitor or work area changes before re-fitting windows
+const DBUS_OBJECT_PATH = '/org/gnome/Shell/Extensions/WindowSizeTracker'; // Exported on GNOME Shell's bus name
+const END_SESSION_DIALOG_PATH = '/org/gnome/SessionManager/EndSessionDialog';   // GNOME Shell's logout dialog
+const END_SESSION_DIALOG_INTERFACE = 'org.gnome.SessionManager.EndSessionDialog';
+const BOOT_ID_PATH = '/proc/sys/kernel/random/boot_id';  // Changes on every boot
+const RULES_FILE_VERSION = 1;           // Supported "version" of rules.json
+
+// Actions a rule in rules.json can apply to the windows it matches
+const RULE_ACTIONS = [
+    'ignore',                 // Neither save nor restore
+    'never-save',             // Restore, but never save changes
+    'fixed-size',             // Always restore to the rule's width/height
+    'restore-size-only',      // Leave the position to mutter
+    'restore-position-only',  // Leave the size to the application
+    'dont-center',            // Keep mutter's position when the saved one is unusable
+];
+
+// Keybinding settings keys and the action each runs on the focused window,
+// returning the message shown on screen
+const KEYBINDING_ACTIONS = {
+    'save-window-keybinding': (manager, window) =>
+        manager.saveWindowNow(window) ? 'Window size saved' : 'Window size not saved',
+    'restore-window-keybinding': (manager, window) =>
+        manager.restoreWindow(window) ? 'Window size reset' : 'No saved window size',
+    'forget-window-keybinding': (manager, window) =>
+        manager.forgetApp(window).length > 0 ? 'Window sizes forgotten' : 'No saved window size',
+    'toggle-app-keybinding': (manager, window) =>
+        manager.toggleAppTracking(window) ? 'Window size tracking on for this app' : 'Window size tracking off for this app',
+    'undo-restore-keybinding': (manager, window) =>
+        manager.undoRestoration(window) ? 'Window size restoration undone' : 'No restoration to undo',
+};
+
+// How saved sizes are applied to a work area other than the one they were saved on
+const RESTORE_MODES = [
+    'absolute',      // Same pixels, each dimension clamped to the work area
+    'proportional',  // Same fraction of the work area, for size and position
+    'fit',           // Same pixels, shrunk to the work area keeping the aspect ratio
+];
+
+// Where restored windows are placed; the saved size is applied either way
+const PLACEMENT_STRATEGIES = [
+    'saved',            // Saved position if still on-screen, else centered
+    'center',           // Centered on the monitor mutter opened it on
+    'pointer',          // Centered under the mouse pointer
+    'focused-monitor',  // Centered on the monitor of the focused window
+    'last-monitor',     // Centered on the monitor it was last saved on
+    'cascade',          // Down and right of the app's topmost other window
+    'mutter',           // Wherever mutter opened it
+];
+
+// Window types tracked as dialogs when track-dialogs is set, besides
+// skip-taskbar normal windows; only those with a parent window are tracked
+const DIALOG_WINDOW_TYPES = [
+    Meta.WindowType.DIALOG,
+    Meta.WindowType.MODAL_DIALOG,
+    Meta.WindowType.UTILITY,
+];
+
+// Names of the tracked dialog types in the IDs of dialogs without a role
+const DIALOG_TYPE_NAMES = {
+    [Meta.WindowType.NORMAL]: 'normal',
+    [Meta.WindowType.DIALOG]: 'dialog',
+    [Meta.WindowType.MODAL_DIALOG]: 'modal-dialog',
+    [Meta.WindowType.UTILITY]: 'utility',
+};
+
+// Lifecycle states of a window, see TrackedWindow
+const WindowState = Object.freeze({
+    IDENTIFYING: 'identifying',                    // Waiting for an app ID or WM_CLASS
+    WAITING_FOR_IDENTITY: 'waiting-for-identity',  // Polling identity resolvers
+    RESTORING: 'restoring',                        // Applying saved geometry
+    TRACKED: 'tracked',                            // Changes are saved
+    CLOSING: 'closing',                            // Unmanaged, or tracking stopped
+});
+
+// Window properties an identity resolver in rules.json can derive a sub-identity from
+const RESOLVER_SOURCES = [
+    'title',        // Window title
+    'appId',        // .desktop app ID
+    'association',  // GNOME's dynamic app association (e.g. "location:...")
+    'cmdline',      // Command line of the window's process
+];
 
 // =============================================================================
-// DATA STORAGE CLASS
+// RULES CLASS
 // =============================================================================
 
 /**
- * Handles persistent storage of window size data to a JSON file.
- * Uses synchronous read at startup for immediate availability,
- * and debounced async writes during operation.
+ * Loads user-defined window rules from rules.json and resolves the policy
+ * that applies to a window. The file is watched and reloaded on change.
+ *
+ * Rules are evaluated in order and the first matching rule wins. A rule
+ * matches when all of its conditions hold: appId, wmClass and role are
+ * compared case-insensitively, title is a regular expression.
+ *
+ *     {
+ *       "version": 1,
+ *       "rules": [
+ *         {"match": {"appId": "org.gnome.Calculator"}, "actions": ["ignore"]},
+ *         {"match": {"wmClass": "firefox", "title": "Picture-in-Picture"},
+ *          "actions": ["fixed-size"], "width": 480, "height": 270}
+ *       ],
+ *       "resolvers": [
+ *         {"match": {"wmClass": "code"}, "source": "title",
+ *          "pattern": " - ([^-]+) - Visual Studio Code$", "waitMs": 2000}
+ *       ]
+ *     }
+ *
+ * The optional "resolvers" are identity resolvers (see IdentityResolvers).
  */
-class WindowDataStore {
-    constructor(extensionPath, uuid) {
-        // Store data in XDG_DATA_HOME for persistence
-        this._dataDir = GLib.build_filenamev([
-            GLib.get_user_data_dir(),
+class WindowRules {
+    constructor(uuid) {
+        // Kept in XDG_CONFIG_HOME so it can be versioned with dotfiles
+        this._rulesFilePath = GLib.build_filenamev([
+            GLib.get_user_config_dir(),
             'gnome-shell-extensions',
             uuid,
+            'rules.json',
         ]);
         
-        this._dataFilePath = GLib.build_filenamev([
-            this._dataDir,
-            'window-sizes.json',
-        ]);
-        
-        this._data = {};
-        this._saveTimeoutId = null;
-        this._dirty = false;
+        this._rules = [];
+        this._resolvers = [];
+        this._fileMonitor = null;
+        this._fileMonitorChangedId = null;
         
-        // Ensure data directory exists
-        GLib.mkdir_with_parents(this._dataDir, 0o755);
-        
-        // Load existing data synchronously at startup
         this._loadSync();
+        this._watch();
     }
     
     /**
-     * Loads data synchronously from disk.
-     * Used at startup to ensure data is immediately available.
+     * Loads and compiles the rules file.
+     * Keeps the previously loaded rules if the file can't be parsed.
      */
     _loadSync() {
         try {
-            const file = Gio.File.new_for_path(this._dataFilePath);
+            const file = Gio.File.new_for_path(this._rulesFilePath);
             
             if (!file.query_exists(null)) {
-                this._data = {};
+                this._rules = [];
+                this._resolvers = [];
                 return;
             }
             
-            const [success, contents] = file.load_contents(null);
+            const [, contents] = file.load_contents(null);
+            const json = JSON.parse(new TextDecoder('utf-8').decode(contents));
             
-            if (success) {
-                const decoder = new TextDecoder('utf-8');
-                const jsonStr = decoder.decode(contents);
-                this._data = JSON.parse(jsonStr);
-                
-                // Validate data structure
-                if (typeof this._data !== 'object' || this._data === null) {
-                    console.warn('[WindowSizeTracker] Invalid data format, resetting');
-                    this._data = {};
-                } else {
-                    const entryCount = Object.keys(this._data).length;
-                    console.log(`[WindowSizeTracker] STATE LOADED FROM DISK: ${entryCount} entries from ${this._dataFilePath}`);
-                }
-            }
-        } catch (e) {
-            console.error(`[WindowSizeTracker] Error loading data: ${e.message}`);
-            this._data = {};
-        }
-    }
-    
-    /**
-     * Saves data asynchronously to disk.
-     * Called after debounce period.
-     */
-    async _saveAsync() {
-        try {
-            const file = Gio.File.new_for_path(this._dataFilePath);
-            const jsonStr = JSON.stringify(this._data, null, 2);
-            const bytes = new TextEncoder().encode(jsonStr);
+            if (json?.version !== RULES_FILE_VERSION || !Array.isArray(json.rules))
+                throw new Error(`expected {"version": ${RULES_FILE_VERSION}, "rules": [...]}`);
             
-            // Use replace_contents for atomic write
-            await new Promise((resolve, reject) => {
-                file.replace_contents_async(
-                    bytes,
-                    null,  // etag
-                    false, // make_backup
-                    Gio.FileCreateFlags.REPLACE_DESTINATION,
-                    null,  // cancellable
-                    (source, result) => {
-                        try {
-                            source.replace_contents_finish(result);
-                            resolve();
-                        } catch (e) {
-                            reject(e);
-                        }
-                    }
-                );
+            const rules = [];
+            json.rules.forEach((rule, index) => {
+                try {
+                    rules.push(this._compileRule(rule, index));
+                } catch (e) {
+                    logger.warn(`Skipping rule ${index + 1}: ${e.message}`);
+                }
             });
             
-            console.log(`[WindowSizeTracker] STATE SAVED TO DISK: ${this._dataFilePath}`);
+            const resolvers = [];
+            (json.resolvers ?? []).forEach((resolver, index) => {
+                try {
+                    resolvers.push(this._compileResolver(resolver, index));
+                } catch (e) {
+                    logger.warn(`Skipping resolver ${index + 1}: ${e.message}`);
+                }
+            });
             
-            this._dirty = false;
+            this._rules = rules;
+            this._resolvers = resolvers;
+            logger.info(`RULES LOADED: ${rules.length} rules and ${resolvers.length} resolvers from ${this._rulesFilePath}`);
         } catch (e) {
-            console.error(`[WindowSizeTracker] Error saving data: ${e.message}`);
+            logger.error(`Error loading rules: ${e.message}`);
         }
     }
     
     /**
-     * Schedules a debounced save operation.
+     * Validates a rule from the file and precompiles its conditions.
      */
-    _scheduleSave() {
-        this._dirty = true;
+    _compileRule(rule, index) {
+        const match = rule?.match ?? {};
+        const actions = [rule?.actions ?? []].flat();
         
-        // Clear existing timeout
-        if (this._saveTimeoutId !== null) {
-            GLib.Source.remove(this._saveTimeoutId);
-            this._saveTimeoutId = null;
+        for (const action of actions) {
+            if (!RULE_ACTIONS.includes(action))
+                throw new Error(`unknown action "${action}"`);
         }
         
-        // Schedule new save
-        this._saveTimeoutId = GLib.timeout_add(
-            GLib.PRIORITY_DEFAULT,
-            SAVE_DEBOUNCE_MS,
-            () => {
-                this._saveTimeoutId = null;
-                this._saveAsync().catch(e => {
-                    console.error(`[WindowSizeTracker] Save failed: ${e.message}`);
-                });
-                return GLib.SOURCE_REMOVE;
+        if (actions.includes('fixed-size') &&
+            !(Number.isInteger(rule.width) && Number.isInteger(rule.height)))
+            throw new Error('"fixed-size" needs integer "width" and "height"');
+        
+        if (rule.restoreMode !== undefined && !RESTORE_MODES.includes(rule.restoreMode))
+            throw new Error(`"restoreMode" must be one of ${RESTORE_MODES.join(', ')}`);
+        
+        if (rule.placement !== undefined && !PLACEMENT_STRATEGIES.includes(rule.placement))
+            throw new Error(`"placement" must be one of ${PLACEMENT_STRATEGIES.join(', ')}`);
+        
+        return {
+            name: rule.name ?? `#${index + 1}`,
+            match: this._compileMatch(match),
+            actions,
+            width: rule.width,
+            height: rule.height,
+            restoreMode: rule.restoreMode ?? null,
+            placement: rule.placement ?? null,
+        };
+    }
+    
+    /**
+     * Validates an identity resolver definition from the file.
+     */
+    _compileResolver(resolver, index) {
+        if (!RESOLVER_SOURCES.includes(resolver?.source))
+            throw new Error(`"source" must be one of ${RESOLVER_SOURCES.join(', ')}`);
+        
+        if (typeof resolver.pattern !== 'string')
+            throw new Error('"pattern" must be a regular expression string');
+        
+        const waitMs = resolver.waitMs ?? 0;
+        if (!Number.isInteger(waitMs) || waitMs < 0)
+            throw new Error('"waitMs" must be a non-negative integer');
+        
+        return {
+            name: resolver.name ?? `resolver #${index + 1}`,
+            match: this._compileMatch(resolver.match ?? {}),
+            source: resolver.source,
+            pattern: new RegExp(resolver.pattern),
+            waitMs,
+        };
+    }
+    
+    /**
+     * Precompiles the "match" conditions of a rule or resolver.
+     */
+    _compileMatch(match) {
+        const normalize = value => (typeof value === 'string' ? value.toLowerCase() : null);
+        
+        return {
+            appId: normalize(match.appId)?.replace(/\.desktop$/, '') ?? null,
+            wmClass: normalize(match.wmClass),
+            role: normalize(match.role),
+            title: typeof match.title === 'string' ? new RegExp(match.title) : null,
+        };
+    }
+    
+    /**
+     * Reloads the rules whenever the file is written, replaced or removed.
+     */
+    _watch() {
+        const file = Gio.File.new_for_path(this._rulesFilePath);
+        
+        this._fileMonitor = file.monitor_file(Gio.FileMonitorFlags.WATCH_MOVES, null);
+        this._fileMonitorChangedId = this._fileMonitor.connect('changed', (monitor, changedFile, otherFile, eventType) => {
+            switch (eventType) {
+            case Gio.FileMonitorEvent.CHANGES_DONE_HINT:
+            case Gio.FileMonitorEvent.DELETED:
+            case Gio.FileMonitorEvent.MOVED_IN:
+            case Gio.FileMonitorEvent.RENAMED:
+                this._loadSync();
+                break;
             }
-        );
+        });
+    }
+    
+    /**
+     * Checks whether compiled match conditions hold for a window.
+     */
+    matches(match, window) {
+        if (match.appId !== null) {
+            const app = Shell.WindowTracker.get_default().get_window_app(window);
+            const appId = app?.get_id()?.replace(/\.desktop$/, '').toLowerCase();
+            if (appId !== match.appId)
+                return false;
+        }
+        
+        if (match.wmClass !== null && window.get_wm_class()?.toLowerCase() !== match.wmClass)
+            return false;
+        
+        if (match.role !== null && window.get_role()?.toLowerCase() !== match.role)
+            return false;
+        
+        if (match.title !== null && !match.title.test(window.get_title() ?? ''))
+            return false;
+        
+        return true;
     }
     
     /**
-     * Gets the stored size data for a window identifier.
-     * @param {string} windowId - The window identifier (wm_class based)
-     * @returns {object|null} Size data {width, height} or null if not found
+     * Gets the identity resolver definitions from the rules file, in order.
+     * @returns {object[]} Definitions {name, match, source, pattern, waitMs}
      */
-    get(windowId) {
-        return this._data[windowId] || null;
+    getResolverDefinitions() {
+        return this._resolvers;
     }
     
     /**
-     * Sets the size data for a window identifier.
-     * @param {string} windowId - The window identifier
-     * @param {number} width - Window width
-     * @param {number} height - Window height
+     * Resolves how a window should be handled, from the first matching rule.
+     * Evaluated on use since titles change over a window's lifetime.
+     * @returns {object} Policy {rule, ignore, save, restoreSize,
+     *   restorePosition, center, fixedSize, restoreMode, placement}; rule
+     *   is null when none matched, restoreMode and placement are null
+     *   unless the rule sets them
      */
-    set(windowId, width, height) {
-        // Only save if values are reasonable
-        if (width < MIN_WINDOW_SIZE || height < MIN_WINDOW_SIZE) {
-            return;
+    getPolicy(window) {
+        const rule = this._rules.find(candidate => this.matches(candidate.match, window)) ?? null;
+        const actions = rule?.actions ?? [];
+        const ignore = actions.includes('ignore');
+        
+        return {
+            rule: rule?.name ?? null,
+            ignore,
+            save: !ignore && !actions.includes('never-save'),
+            restoreSize: !ignore && !actions.includes('restore-position-only'),
+            restorePosition: !ignore && !actions.includes('restore-size-only'),
+            center: !actions.includes('dont-center'),
+            fixedSize: actions.includes('fixed-size')
+                ? {width: rule.width, height: rule.height}
+                : null,
+            restoreMode: rule?.restoreMode ?? null,
+            placement: rule?.placement ?? null,
+        };
+    }
+    
+    /**
+     * Stops watching the rules file.
+     */
+    destroy() {
+        if (this._fileMonitor) {
+            this._fileMonitor.disconnect(this._fileMonitorChangedId);
+            this._fileMonitor.cancel();
+            this._fileMonitor = null;
         }
+    }
+}
+
+// =============================================================================
+// IDENTITY RESOLVERS CLASS
+// =============================================================================
+
+/**
+ * Chain of resolvers deriving a more specific identity for a window than
+ * its app ID or WM_CLASS, so that e.g. each Nautilus location, browser
+ * profile or VS Code workspace gets its own saved geometry.
+ *
+ * A resolver is {name, appliesTo(window, baseId), resolve(window, baseId),
+ * maxAttempts()}. resolve() returns the derived identity, or null while it
+ * isn't available; maxAttempts() bounds how many IDENTITY_POLL_INTERVAL_MS
+ * polls a new window waits for it. Resolvers defined in rules.json come
+ * first, followed by the built-in ones.
+ */
+class IdentityResolvers {
+    constructor(settings, rules) {
+        this._settings = settings;
+        this._rules = rules;
         
-        const existing = this._data[windowId];
+        this._builtins = [
+            this._createNautilusResolver(),
+        ];
+    }
+    
+    /**
+     * Gets the resolvers that apply to a window, in priority order.
+     */
+    getApplicable(window, baseId) {
+        const userResolvers = this._rules.getResolverDefinitions()
+            .map(definition => this._createUserResolver(definition));
         
-        // Only save if changed
-        if (existing && existing.width === width && existing.height === height) {
-            return;
+        return [...userResolvers, ...this._builtins]
+            .filter(resolver => resolver.appliesTo(window, baseId));
+    }
+    
+    /**
+     * Resolves a window's identity without waiting.
+     * @returns {string} The first derived identity, or baseId if none
+     */
+    resolveNow(window, baseId) {
+        for (const resolver of this.getApplicable(window, baseId)) {
+            const identity = resolver.resolve(window, baseId);
+            if (identity)
+                return identity;
+        }
+        return baseId;
+    }
+    
+    /**
+     * Built-in resolver for Nautilus. GNOME dynamically associates Nautilus
+     * windows with location-based app IDs ("location:...", "network:...",
+     * "mountable-volume:...") shortly after they are created.
+     */
+    _createNautilusResolver() {
+        return {
+            name: 'nautilus-location',
+            appliesTo: (window, baseId) => baseId === 'org.gnome.nautilus',
+            resolve: window => {
+                const association = this._readSource(window, 'association');
+                return WindowDataStore.isLocationBasedId(association) ? association : null;
+            },
+            maxAttempts: () => this._settings.get_int('nautilus-location-max-attempts'),
+        };
+    }
+    
+    /**
+     * Creates a resolver from a definition in rules.json. The sub-identity
+     * is the pattern's first capture group (or whole match) on the source,
+     * appended to the base ID: "<baseId>/<sub-identity>".
+     */
+    _createUserResolver(definition) {
+        return {
+            name: definition.name,
+            appliesTo: window => this._rules.matches(definition.match, window),
+            resolve: (window, baseId) => {
+                const value = this._readSource(window, definition.source);
+                const match = value ? definition.pattern.exec(value) : null;
+                const subIdentity = (match?.[1] ?? match?.[0])?.trim().toLowerCase();
+                return subIdentity ? `${baseId}/${subIdentity}` : null;
+            },
+            maxAttempts: () => Math.ceil(definition.waitMs / IDENTITY_POLL_INTERVAL_MS),
+        };
+    }
+    
+    /**
+     * Reads a window property a sub-identity can be derived from.
+     * @param {string} source - One of RESOLVER_SOURCES
+     * @returns {string|null} The value, or null if unavailable
+     */
+    _readSource(window, source) {
+        switch (source) {
+        case 'title':
+            return window.get_title();
+        case 'appId':
+        case 'association': {
+            const app = Shell.WindowTracker.get_default().get_window_app(window);
+            const appId = app?.get_id()?.replace(/\.desktop$/, '').toLowerCase() ?? null;
+            // Transient "window:N" associations don't name an app
+            if (source === 'appId' && appId?.startsWith('window:'))
+                return null;
+            return appId;
+        }
+        case 'cmdline':
+            return this._readCommandLine(window.get_pid());
+        default:
+            return null;
         }
+    }
+    
+    /**
+     * Reads a process command line from /proc, arguments joined by spaces.
+     * @returns {string|null} The command line, or null if unavailable
+     */
+    _readCommandLine(pid) {
+        if (!(pid > 0))
+            return null;
         
-            this._data[windowId] = {
-                width,
-                height,
-                lastUpdated: Date.now(),
-            };
-            
-            console.log(`[WindowSizeTracker] STATE SAVED: "${windowId}" -> ${width}x${height}`);
-            
-            this._scheduleSave();
+        try {
+            const [, contents] = GLib.file_get_contents(`/proc/${pid}/cmdline`);
+            return new TextDecoder('utf-8').decode(contents).split('\0').join(' ').trim();
+        } catch (e) {
+            return null;
         }
+    }
+}
+
+// =============================================================================
+// TRACKED WINDOW CLASS
+// =============================================================================
+
+/**
+ * Lifecycle of a single window, from its creation until it is unmanaged.
+ *
+ * A window is in exactly one WindowState at a time. Work pending for a
+ * state (a timeout or a first-frame handler) is owned by the tracker and
+ * cancelled whenever the state changes, so a stale callback can't run
+ * after the window moved on, closed, or tracking stopped. Once closing,
+ * the tracker ignores further transitions.
+ */
+class TrackedWindow {
+    constructor(window) {
+        this.window = window;
+        this.state = WindowState.IDENTIFYING;
+        
+        // Whether saved geometry has been applied, so it's applied only once
+        this.restored = false;
+        
+        // Instance slot within the window's app: {windowId, slot}
+        this.slot = null;
+        
+        // Half of the work area the window was placed on to restore its
+        // tiling, until moved or resized: {side, rect}
+        this.placedTile = null;
+        
+        // Window a dialog belongs to, until it is unmanaged, and the
+        // identity the dialog is saved under; null for other windows
+        this.parent = null;
+        this.dialogId = null;
+        
+        // Geometry the window had before it was restored automatically,
+        // until the restoration is undone: {rect, workspace, state}
+        this.preRestore = null;
+        
+        // Signal connections on the window (or its parent): {object, signalId}
+        this._signals = [];
+        
+        // Timeout pending for the current state
+        this._timeoutId = 0;
+        
+        // First-frame connection pending for the current state: {actor, signalId}
+        this._firstFrame = null;
+        
+        // Debounced save, which outlives state changes until the window closes
+        this._saveTimeoutId = 0;
+    }
+    
+    /**
+     * Whether the window has a stable ID and is still open.
+     */
+    get isIdentified() {
+        return this.state !== WindowState.IDENTIFYING &&
+               this.state !== WindowState.CLOSING;
+    }
+    
+    /**
+     * Moves to another state, cancelling the work pending for the current one.
+     */
+    transition(state) {
+        if (this.state === WindowState.CLOSING)
+            return;
+        
+        this._cancelPending();
+        this.state = state;
+    }
+    
+    /**
+     * Connects to a signal of the window, or of another object such as
+     * its parent, until the window closes.
+     */
+    connect(signalName, callback, object = this.window) {
+        this._signals.push({object, signalId: object.connect(signalName, callback)});
+    }
+    
+    /**
+     * Runs a callback once after a delay, unless the state changes first.
+     * Replaces the timeout pending for the current state, if any.
+     */
+    schedule(delayMs, callback) {
+        this._removeTimeout();
+        
+        this._timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delayMs, () => {
+            this._timeoutId = 0;
+            callback();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+    
+    /**
+     * Runs a callback when the window's actor paints its first frame,
+     * unless the state changes first.
+     */
+    connectFirstFrame(callback) {
+        this._disconnectFirstFrame();
+        
+        const actor = this.window.get_compositor_private();
+        if (!actor)
+            return;
+        
+        const signalId = actor.connect('first-frame', () => {
+            this._disconnectFirstFrame();
+            callback();
+        });
+        this._firstFrame = {actor, signalId};
+    }
     
     /**
-     * Forces an immediate save (used during disable).
+     * Runs a callback once after a delay, restarting the delay if one is
+     * already pending. Only closing the window cancels it.
      */
-    saveImmediately() {
-        if (this._saveTimeoutId !== null) {
+    scheduleSave(delayMs, callback) {
+        if (this._saveTimeoutId)
             GLib.Source.remove(this._saveTimeoutId);
-            this._saveTimeoutId = null;
+        
+        this._saveTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delayMs, () => {
+            this._saveTimeoutId = 0;
+            callback();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+    
+    /**
+     * Moves to the closing state, cancelling everything pending and
+     * disconnecting from the window.
+     */
+    close() {
+        this._cancelPending();
+        
+        if (this._saveTimeoutId) {
+            GLib.Source.remove(this._saveTimeoutId);
+            this._saveTimeoutId = 0;
         }
         
-        if (this._dirty) {
-            // Synchronous save for disable
+        for (const {object, signalId} of this._signals) {
             try {
-                const file = Gio.File.new_for_path(this._dataFilePath);
-                const jsonStr = JSON.stringify(this._data, null, 2);
-                const bytes = new TextEncoder().encode(jsonStr);
-                file.replace_contents(
-                    bytes,
-                    null,
-                    false,
-                    Gio.FileCreateFlags.REPLACE_DESTINATION,
-                    null
-                );
-                this._dirty = false;
+                object.disconnect(signalId);
             } catch (e) {
-                console.error(`[WindowSizeTracker] Error in immediate save: ${e.message}`);
+                // Window may already be destroyed
             }
         }
+        this._signals = [];
+        
+        this.state = WindowState.CLOSING;
+        this.slot = null;
+        this.placedTile = null;
+        this.parent = null;
+    }
+    
+    /**
+     * Cancels the work pending for the current state.
+     */
+    _cancelPending() {
+        this._removeTimeout();
+        this._disconnectFirstFrame();
+    }
+    
+    /**
+     * Removes the timeout pending for the current state.
+     */
+    _removeTimeout() {
+        if (this._timeoutId) {
+            GLib.Source.remove(this._timeoutId);
+            this._timeoutId = 0;
+        }
     }
     
     /**
-     * Cleans up resources.
+     * Disconnects the first-frame handler pending for the current state.
      */
-    destroy() {
-        this.saveImmediately();
+    _disconnectFirstFrame() {
+        if (!this._firstFrame)
+            return;
         
-        if (this._saveTimeoutId !== null) {
-            GLib.Source.remove(this._saveTimeoutId);
-            this._saveTimeoutId = null;
+        const {actor, signalId} = this._firstFrame;
+        this._firstFrame = null;
+        
+        try {
+            actor.disconnect(signalId);
+        } catch (e) {
+            // Actor may be gone
         }
     }
 }
@@ -247,29 +693,42 @@ class WindowDataStore {
 
 /**
  * Tracks window size changes and manages window size restoration.
+ *
+ * Emits 'size-saved' (windowId, layoutKey, width, height) when a window's
+ * geometry is saved, 'window-restored' (window, windowId) when saved
+ * geometry has been applied to a window, 'restoration-undoable' (window,
+ * windowId) once a new window's restoration can be undone and
+ * 'tracked-windows-changed' when a window starts or stops being tracked.
  */
-class WindowSizeManager {
-    constructor(dataStore) {
+class WindowSizeManager extends EventEmitter {
+    constructor(dataStore, settings, rules) {
+        super();
+        
         this._dataStore = dataStore;
         
-        // Signal connections on global.display
-        this._displaySignals = [];
+        // Extension settings; tunables are read on use so changes apply live
+        this._settings = settings;
         
-        // Signal connections per window: Map<Meta.Window, number[]>
-        this._windowSignals = new Map();
+        // User-defined rules overriding behavior per window
+        this._rules = rules;
         
-        // Windows pending size restoration: Map<Meta.Window, {timeoutId?, signalId?}>
-        this._pendingRestoration = new Map();
+        // Chain deriving per-location/profile/workspace window identities
+        this._identityResolvers = new IdentityResolvers(settings, rules);
+        
+        // Signal connections on global.display
+        this._displaySignals = [];
         
-        // Set of window IDs that have been restored in this session
-        // to avoid multiple restoration attempts
-        this._restoredWindows = new Set();
+        // Lifecycle of each window being tracked: Map<Meta.Window, TrackedWindow>
+        this._windows = new Map();
         
-        // Debounce timers for size change events: Map<Meta.Window, timeoutId>
-        this._sizeChangeTimers = new Map();
+        // Recent tracker events, for bug reports
+        this._history = new EventHistory(settings.get_int('event-history-size'));
         
-        // Windows pending identification (waiting for stable ID): Map<Meta.Window, timeoutId>
-        this._pendingIdentification = new Map();
+        // Monitor layout windows were last fitted to, and the pending end
+        // of a monitor or work area change; saving is suppressed until then
+        this._layoutKey = null;
+        this._layoutChangeTimeoutId = 0;
+        this._monitorsChangedId = 0;
     }
     
     /**
@@ -282,6 +741,13 @@ class WindowSizeManager {
         // Connect to grab-op-end to detect resize completion
         this._connectDisplaySignal('grab-op-end', this._onGrabOpEnd.bind(this));
         
+        // Re-fit windows when monitors are (un)plugged or panels and docks
+        // change the work area
+        this._layoutKey = this._getMonitorLayoutKey();
+        this._connectDisplaySignal('workareas-changed', this._onLayoutChanged.bind(this));
+        this._monitorsChangedId = global.backend.get_monitor_manager()
+            .connect('monitors-changed', this._onLayoutChanged.bind(this));
+        
         // Track all existing windows
         this._trackExistingWindows();
     }
@@ -290,46 +756,20 @@ class WindowSizeManager {
      * Stops tracking and cleans up all resources.
      */
     disable() {
-        // Clear all pending identification timers
-        for (const [window, timeoutId] of this._pendingIdentification) {
-            GLib.Source.remove(timeoutId);
-        }
-        this._pendingIdentification.clear();
-        
-        // Clear all pending restorations (may have timeoutId and/or signalId)
-        for (const [window, pending] of this._pendingRestoration) {
-            if (pending.timeoutId) {
-                GLib.Source.remove(pending.timeoutId);
-            }
-            if (pending.signalId) {
-                try {
-                    const actor = window.get_compositor_private();
-                    if (actor)
-                        actor.disconnect(pending.signalId);
-                } catch (e) {
-                    // Actor may be gone
-                }
-            }
-        }
-        this._pendingRestoration.clear();
-        
-        // Clear all size change timers
-        for (const [window, timeoutId] of this._sizeChangeTimers) {
-            GLib.Source.remove(timeoutId);
+        // Cancel everything pending for each window
+        for (const tracked of this._windows.values())
+            tracked.close();
+        this._windows.clear();
+        
+        if (this._layoutChangeTimeoutId) {
+            GLib.Source.remove(this._layoutChangeTimeoutId);
+            this._layoutChangeTimeoutId = 0;
         }
-        this._sizeChangeTimers.clear();
         
-        // Disconnect all window signals
-        for (const [window, signals] of this._windowSignals) {
-            for (const signalId of signals) {
-                try {
-                    window.disconnect(signalId);
-                } catch (e) {
-                    // Window may already be destroyed
-                }
-            }
+        if (this._monitorsChangedId) {
+            global.backend.get_monitor_manager().disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = 0;
         }
-        this._windowSignals.clear();
         
         // Disconnect display signals
         for (const {signalId} of this._displaySignals) {
@@ -340,72 +780,398 @@ class WindowSizeManager {
             }
         }
         this._displaySignals = [];
-        
-        this._restoredWindows.clear();
     }
     
     /**
-     * Connects a signal to global.display and tracks it.
+     * Gets the windows currently being tracked.
+     * @returns {Meta.Window[]} The tracked windows
      */
-    _connectDisplaySignal(signalName, callback) {
-        const signalId = global.display.connect(signalName, callback);
-        this._displaySignals.push({signalName, signalId});
+    getTrackedWindows() {
+        return [...this._windows.values()]
+            .filter(tracked => tracked.isIdentified)
+            .map(tracked => tracked.window);
     }
     
     /**
-     * Tracks all currently existing windows.
+     * Gets the most recent tracker events.
+     * @returns {object[]} The events, oldest first, each with the time,
+     *   the type and further details such as the window ID
      */
-    _trackExistingWindows() {
-        const windowActors = global.compositor.get_window_actors();
-        
-        for (const actor of windowActors) {
-            const window = actor.meta_window;
-            if (this._isTrackableWindow(window)) {
-                this._trackWindow(window);
-            }
-        }
+    getEvents() {
+        return this._history.getEvents();
     }
     
     /**
-     * Determines if a window should be tracked.
-     * Only tracks normal application windows that can be identified.
+     * Records a tracker event in the event history.
      */
-    _isTrackableWindow(window) {
-        if (!window)
-            return false;
+    _recordEvent(type, details) {
+        this._history.capacity = this._settings.get_int('event-history-size');
+        this._history.record(type, details);
+    }
+    
+    /**
+     * Gets the identity a tracked window's geometry is saved under,
+     * including its instance suffix.
+     * @returns {string|null} The storage ID, or null if it can't be identified
+     */
+    getStorageId(window) {
+        const windowId = this._resolveWindowId(window);
+        return windowId ? this._getStorageId(window, windowId) : null;
+    }
+    
+    /**
+     * Restores a window's saved geometry now, even if it was restored before.
+     * @returns {boolean} True if saved state was found for the window
+     */
+    restoreWindow(window) {
+        const tracked = this._windows.get(window);
+        const windowId = this._resolveWindowId(window);
         
-        // Only track normal windows (not dialogs, menus, etc.)
-        if (window.get_window_type() !== Meta.WindowType.NORMAL)
+        if (!tracked?.isIdentified || !windowId)
             return false;
         
-        // Skip windows marked as skip-taskbar (usually utility windows)
-        if (window.is_skip_taskbar())
-            return false;
+        tracked.restored = false;
+        return this._doRestoration(tracked, windowId, false);
+    }
+    
+    /**
+     * Saves the current geometry of every tracked window now.
+     * @returns {number} The number of windows saved
+     */
+    snapshotWindows() {
+        const windows = this.getTrackedWindows().filter(window => this._isTrackableWindow(window));
         
-        // Must have either a desktop app ID or WM_CLASS to be identifiable
-        const tracker = Shell.WindowTracker.get_default();
-        const app = tracker.get_window_app(window);
+        for (const window of windows)
+            this._saveWindowSize(window, true);
         
-        if (app && app.get_id())
-            return true;
+        return windows.length;
+    }
+    
+    /**
+     * Saves geometry for a window identifier in the current monitor layout,
+     * without a window. Position and monitor are optional; without them the
+     * window is centered on whichever monitor it opens on.
+     * @param {string} id - The window identifier, normalized with
+     *   normalizeWindowId()
+     * @param {object} geometry - {width, height, x?, y?, monitor?}
+     * @returns {boolean} True if the stored geometry changed
+     */
+    saveGeometry(id, geometry) {
+        const windowId = normalizeWindowId(id);
+        const layoutKey = this._getMonitorLayoutKey();
+        const existing = this._dataStore.get(windowId, layoutKey);
+        const {width, height, x, y, monitor} = geometry;
+        
+        const changed = this._dataStore.set(windowId, layoutKey, {
+            width,
+            height,
+            x,
+            y,
+            monitor,
+            workArea: existing?.workArea,
+            scale: existing?.scale,
+            state: existing?.state,
+        });
+        
+        if (changed)
+            this.emit('size-saved', windowId, layoutKey, width, height);
+        
+        return changed;
+    }
+    
+    /**
+     * Gets what is saved for a tracked window.
+     * @returns {object|null} {windowId, geometry, locked} with the storage
+     *   ID, the geometry that would be restored in the current monitor
+     *   layout (null if none), and whether the entry is locked; null if
+     *   the window isn't tracked
+     */
+    getWindowInfo(window) {
+        if (!this._windows.get(window)?.isIdentified || !this._isTrackableWindow(window))
+            return null;
         
-        if (window.get_wm_class())
-            return true;
+        const windowId = this.getStorageId(window);
+        if (!windowId)
+            return null;
         
-        return false;
+        return {
+            windowId,
+            geometry: this._findSavedGeometry(window, windowId, this._getMonitorLayoutKey()),
+            locked: this._dataStore.isLocked(windowId),
+        };
     }
     
     /**
-     * Gets a unique identifier for a window based on its application.
-     * Prioritizes the .desktop app ID (more reliable on Wayland) over WM_CLASS.
+     * Saves a window's current geometry now, even while paused or locked.
+     * Windows that aren't tracked, such as untracked dialogs, are not saved.
+     * @returns {boolean} True if the window's geometry or state was saved
      */
-    _getWindowId(window) {
-        // Primary: Use Shell.WindowTracker to get the .desktop app ID
-        // This is more reliable on Wayland as it's the canonical identifier
-        const tracker = Shell.WindowTracker.get_default();
-        const app = tracker.get_window_app(window);
+    saveWindowNow(window) {
+        if (!this.getWindowInfo(window))
+            return false;
         
-        if (app) {
+        return this._saveWindowSize(window, true);
+    }
+    
+    /**
+     * Removes the saved entries of a window's app, including those of its
+     * other instances and resolved identities.
+     * @returns {string[]} The IDs of the removed entries
+     */
+    forgetApp(window) {
+        const appId = this._getWindowId(window);
+        return appId ? this._dataStore.forgetApp(appId) : [];
+    }
+    
+    /**
+     * Turns tracking for a window's app off, or back on.
+     * @returns {boolean} True if the app is tracked now
+     */
+    toggleAppTracking(window) {
+        const appId = this._getWindowId(window);
+        if (!appId)
+            return false;
+        
+        const tracked = this._isAppListed('disabled-apps', appId);
+        const disabledApps = this._settings.get_strv('disabled-apps')
+            .filter(listed => listed.replace(/\.desktop$/, '').toLowerCase() !== appId);
+        
+        if (!tracked)
+            disabledApps.push(appId);
+        
+        this._settings.set_strv('disabled-apps', disabledApps);
+        
+        logger.info(`Tracking ${tracked ? 'enabled' : 'disabled'} for "${appId}"`);
+        
+        return tracked;
+    }
+    
+    /**
+     * Returns a window to the geometry, workspace and state it had before
+     * its saved geometry was applied when it opened. Like any other
+     * change, the geometry it is returned to is saved.
+     * @returns {boolean} True if there was a restoration to undo
+     */
+    undoRestoration(window) {
+        const tracked = this._windows.get(window);
+        const preRestore = tracked?.preRestore;
+        
+        if (!preRestore || tracked.state !== WindowState.TRACKED)
+            return false;
+        
+        tracked.preRestore = null;
+        tracked.placedTile = null;
+        
+        const {rect, workspace, state} = preRestore;
+        
+        // Drop the flags the restoration set, so the frame can be moved
+        if (window.fullscreen && !state.fullscreen)
+            window.unmake_fullscreen();
+        if (window.is_maximized() && !state.maximized)
+            window.unmaximize();
+        if (window.is_above() && !state.above)
+            window.unmake_above();
+        if (window.on_all_workspaces_requested && !state.sticky)
+            window.unstick();
+        
+        if (workspace !== null && !state.sticky &&
+            workspace < global.workspace_manager.get_n_workspaces())
+            window.change_workspace_by_index(workspace, false);
+        
+        window.move_resize_frame(true, rect.x, rect.y, rect.width, rect.height);
+        
+        // Put back the flags the restoration cleared
+        this._applyWindowState(window, {...state, tiled: null});
+        
+        const windowId = this._resolveWindowId(window);
+        logger.info(`STATE RESTORE UNDONE: "${windowId}" -> ${rect.width}x${rect.height} at (${rect.x}, ${rect.y})`);
+        this._recordEvent('restore-undone', {windowId});
+        
+        return true;
+    }
+    
+    /**
+     * Stops restoring saved geometry to the windows of a window's app.
+     * Their geometry is still saved.
+     * @returns {boolean} True if the app was added to the excluded apps
+     */
+    excludeFromRestoration(window) {
+        const appId = this._getWindowId(window);
+        if (!appId || this._isAppListed('restore-excluded-apps', appId))
+            return false;
+        
+        this._settings.set_strv('restore-excluded-apps',
+            [...this._settings.get_strv('restore-excluded-apps'), appId]);
+        
+        logger.info(`Restoration disabled for "${appId}"`);
+        
+        return true;
+    }
+    
+    /**
+     * Locks or unlocks the saved geometry of a window, so it is only
+     * changed on explicit request. Locking a window without saved
+     * geometry saves its current geometry first.
+     * @returns {boolean} True if the entry's lock was changed
+     */
+    setWindowLocked(window, locked) {
+        const windowId = this.getStorageId(window);
+        if (!windowId)
+            return false;
+        
+        if (locked && !this._dataStore.getEntry(windowId))
+            this.saveWindowNow(window);
+        
+        return this._dataStore.setLocked(windowId, locked);
+    }
+    
+    /**
+     * Captures the arrangement of all trackable open windows as a named
+     * snapshot. Maximized and fullscreen windows are captured by state
+     * only, as their frame isn't their normal geometry.
+     * @param {string} name - The snapshot name
+     * @returns {number} The number of windows captured
+     */
+    saveSnapshot(name) {
+        const windows = {};
+        
+        for (const window of this.getTrackedWindows()) {
+            if (!this._isTrackableWindow(window) || window.minimized)
+                continue;
+            
+            const storageId = this.getStorageId(window);
+            if (!storageId)
+                continue;
+            
+            const state = this._getWindowState(window);
+            const geometry = state.maximized || state.fullscreen ? {} : this._captureGeometry(window);
+            if (!geometry)
+                continue;
+            
+            const workspace = window.get_workspace();
+            windows[storageId] = {
+                ...geometry,
+                state,
+                workspace: workspace && !state.sticky ? workspace.index() : undefined,
+            };
+        }
+        
+        this._dataStore.setSnapshot(name, windows);
+        return Object.keys(windows).length;
+    }
+    
+    /**
+     * Moves the open windows captured in a named snapshot back into the
+     * captured arrangement. Windows are matched by storage ID; windows
+     * not in the snapshot are left alone.
+     * @param {string} name - The snapshot name
+     * @returns {number} The number of windows arranged
+     * @throws {Error} If there is no snapshot with that name
+     */
+    applySnapshot(name) {
+        const snapshot = this._dataStore.getSnapshot(name);
+        
+        if (!snapshot)
+            throw new Error(`No snapshot named "${name}"`);
+        
+        let applied = 0;
+        
+        for (const window of this.getTrackedWindows()) {
+            const windowId = this._resolveWindowId(window);
+            if (!windowId)
+                continue;
+            
+            const saved = snapshot.windows[this._getStorageId(window, windowId)];
+            if (!saved)
+                continue;
+            
+            // Supersedes a restoration still pending for the window
+            if (this._restoreWindowSize(window, saved)) {
+                this._finishRestoration(this._windows.get(window));
+                applied++;
+            }
+        }
+        
+        logger.info(`SNAPSHOT APPLIED: "${name}" to ${applied} of ${Object.keys(snapshot.windows).length} windows`);
+        
+        return applied;
+    }
+    
+    /**
+     * Connects a signal to global.display and tracks it.
+     */
+    _connectDisplaySignal(signalName, callback) {
+        const signalId = global.display.connect(signalName, callback);
+        this._displaySignals.push({signalName, signalId});
+    }
+    
+    /**
+     * Tracks all currently existing windows.
+     */
+    _trackExistingWindows() {
+        const windowActors = global.compositor.get_window_actors();
+        
+        for (const actor of windowActors) {
+            const window = actor.meta_window;
+            if (!this._isTrackableWindow(window) || this._windows.has(window))
+                continue;
+            
+            // Already placed by the user, so never restored
+            const tracked = this._trackWindow(window);
+            tracked.restored = true;
+            tracked.transition(WindowState.TRACKED);
+            this._connectWindowSignals(tracked);
+        }
+    }
+    
+    /**
+     * Determines if a window should be tracked.
+     * Only tracks normal application windows that can be identified.
+     */
+    _isTrackableWindow(window) {
+        if (!window)
+            return false;
+        
+        // Dialogs were checked when they were created
+        if (this._windows.get(window)?.dialogId)
+            return this._settings.get_boolean('track-dialogs');
+        
+        // Only track normal windows (not dialogs, menus, etc.)
+        if (window.get_window_type() !== Meta.WindowType.NORMAL)
+            return false;
+        
+        // Skip windows marked as skip-taskbar (usually utility windows)
+        if (window.is_skip_taskbar())
+            return false;
+        
+        // Skip windows a rule says to ignore
+        if (this._rules.getPolicy(window).ignore)
+            return false;
+        
+        // Must have either a desktop app ID or WM_CLASS to be identifiable
+        const tracker = Shell.WindowTracker.get_default();
+        const app = tracker.get_window_app(window);
+        
+        if (app && app.get_id())
+            return true;
+        
+        if (window.get_wm_class())
+            return true;
+        
+        return false;
+    }
+    
+    /**
+     * Gets a unique identifier for a window based on its application.
+     * Prioritizes the .desktop app ID (more reliable on Wayland) over WM_CLASS.
+     */
+    _getWindowId(window) {
+        // Primary: Use Shell.WindowTracker to get the .desktop app ID
+        // This is more reliable on Wayland as it's the canonical identifier
+        const tracker = Shell.WindowTracker.get_default();
+        const app = tracker.get_window_app(window);
+        
+        if (app) {
             const appId = app.get_id();
             if (appId) {
                 // Reject dynamic/transient window IDs like "window:3.desktop"
@@ -430,92 +1196,136 @@ class WindowSizeManager {
     }
 
     /**
-     * Checks if a window belongs to Nautilus file manager.
-     * Used to apply special handling for location-based window IDs.
+     * Gets the identity a window's geometry is saved under: its ID from
+     * _getWindowId(), refined by the first identity resolver that can
+     * derive one right now. Dialogs use their dialog ID.
      */
-    _isNautilusWindow(window) {
-        const tracker = Shell.WindowTracker.get_default();
-        const app = tracker.get_window_app(window);
-        if (!app) return false;
-        const appId = app.get_id();
-        return appId && appId.toLowerCase().includes('nautilus');
+    _resolveWindowId(window) {
+        const dialogId = this._windows.get(window)?.dialogId;
+        if (dialogId)
+            return dialogId;
+        
+        const baseId = this._getWindowId(window);
+        
+        if (!baseId)
+            return null;
+        
+        return this._identityResolvers.resolveNow(window, baseId);
     }
 
     /**
-     * Checks if a window ID is location-based (GNOME dynamic association).
-     * These IDs are created for Nautilus windows showing specific locations.
+     * Gets the instance slot of a window within its app: 0 for the first
+     * open window, 1 for the second and so on. Slots are assigned on first
+     * use as the lowest one not held by another open window with the same
+     * ID, and reassigned if the window's ID changes (e.g. Nautilus
+     * navigating to another location).
      */
-    _isLocationBasedId(windowId) {
-        if (!windowId) return false;
-        return windowId.startsWith('location:') ||
-               windowId.startsWith('mountable-volume:') ||
-               windowId.startsWith('network:');
+    _getWindowSlot(window, windowId) {
+        const tracked = this._windows.get(window);
+        if (tracked?.slot && tracked.slot.windowId === windowId)
+            return tracked.slot.slot;
+        
+        const usedSlots = new Set();
+        for (const other of this._windows.values()) {
+            if (other !== tracked && other.slot?.windowId === windowId)
+                usedSlots.add(other.slot.slot);
+        }
+        
+        let slot = 0;
+        while (usedSlots.has(slot))
+            slot++;
+        
+        if (tracked?.isIdentified)
+            tracked.slot = {windowId, slot};
+        return slot;
     }
-
+    
     /**
-     * Starts tracking a window for size changes.
+     * Gets the key a window's geometry is stored under. The first window of
+     * an app uses the window ID itself; further instances get their own
+     * entries ("<windowId>#2", "<windowId>#3", ...) when per-instance
+     * geometry is enabled.
      */
-    _trackWindow(window) {
-        // Don't track if already tracking
-        if (this._windowSignals.has(window))
-            return;
+    _getStorageId(window, windowId) {
+        const slot = this._getWindowSlot(window, windowId);
         
-        const signals = [];
+        if (slot === 0 || !this._settings.get_boolean('per-instance-geometry'))
+            return windowId;
         
-        // Track size changes
-        signals.push(
-            window.connect('size-changed', () => this._onSizeChanged(window))
-        );
+        return `${windowId}#${slot + 1}`;
+    }
+    
+    /**
+     * Gets the frame rects of the other open windows sharing a window's ID.
+     */
+    _getSiblingRects(window) {
+        return this._getSiblings(window).map(sibling => sibling.get_frame_rect());
+    }
+    
+    /**
+     * Gets the topmost of the other open, unminimized windows sharing a
+     * window's ID.
+     * @returns {Meta.Window|null} The window, or null if there is none
+     */
+    _getTopmostSibling(window) {
+        const siblings = this._getSiblings(window).filter(sibling => !sibling.minimized);
+        return global.display.sort_windows_by_stacking(siblings).at(-1) ?? null;
+    }
+    
+    /**
+     * Gets the other open windows sharing a window's ID.
+     */
+    _getSiblings(window) {
+        const assigned = this._windows.get(window)?.slot;
+        if (!assigned)
+            return [];
+        
+        const siblings = [];
+        for (const other of this._windows.values()) {
+            if (other.window !== window && other.slot?.windowId === assigned.windowId)
+                siblings.push(other.window);
+        }
+        return siblings;
+    }
+    
+    /**
+     * Starts the lifecycle of a window. Whatever state it is in, the
+     * window stops being tracked when it is unmanaged.
+     * @returns {TrackedWindow} The window's tracker
+     */
+    _trackWindow(window) {
+        const tracked = new TrackedWindow(window);
         
-        // Track when window is about to be destroyed
-        signals.push(
-            window.connect('unmanaging', () => this._onWindowUnmanaging(window))
-        );
+        tracked.connect('unmanaging', () => this._onWindowUnmanaging(tracked));
+        this._windows.set(window, tracked);
         
-        this._windowSignals.set(window, signals);
+        return tracked;
+    }
+    
+    /**
+     * Ends the lifecycle of a window, cancelling everything pending for it.
+     * This is the only way a window stops being tracked.
+     */
+    _untrackWindow(tracked) {
+        tracked.close();
+        this._windows.delete(tracked.window);
     }
     
     /**
-     * Stops tracking a window.
+     * Connects to the changes of an identified window that are saved.
      */
-    _untrackWindow(window) {
-        const signals = this._windowSignals.get(window);
+    _connectWindowSignals(tracked) {
+        const window = tracked.window;
         
-        if (signals) {
-            for (const signalId of signals) {
-                try {
-                    window.disconnect(signalId);
-                } catch (e) {
-                    // Ignore - window may be destroyed
-                }
-            }
-            this._windowSignals.delete(window);
-        }
+        // Track size changes (including maximize and fullscreen)
+        tracked.connect('size-changed', () => this._onSizeChanged(window));
         
-        // Clear any pending size change timer
-        const timer = this._sizeChangeTimers.get(window);
-        if (timer) {
-            GLib.Source.remove(timer);
-            this._sizeChangeTimers.delete(window);
-        }
+        // Track always-on-top and on-all-workspaces, which don't resize
+        tracked.connect('notify::above', () => this._onStateChanged(window));
+        tracked.connect('notify::on-all-workspaces-requested', () => this._onStateChanged(window));
         
-        // Clear pending restoration (may have timeoutId and/or signalId)
-        const pending = this._pendingRestoration.get(window);
-        if (pending) {
-            if (pending.timeoutId) {
-                GLib.Source.remove(pending.timeoutId);
-            }
-            if (pending.signalId) {
-                try {
-                    const actor = window.get_compositor_private();
-                    if (actor)
-                        actor.disconnect(pending.signalId);
-                } catch (e) {
-                    // Actor may be gone
-                }
-            }
-            this._pendingRestoration.delete(window);
-        }
+        // Track moves between workspaces
+        tracked.connect('workspace-changed', () => this._onWorkspaceChanged(window));
     }
     
     /**
@@ -523,9 +1333,24 @@ class WindowSizeManager {
      */
     _onWindowCreated(display, window) {
         // Basic window type checks first
-        if (!window)
+        if (!window || this._windows.has(window))
             return;
         
+        // Dialogs and tool windows are only tracked when opted in
+        const parent = this._getDialogParent(window);
+        if (parent) {
+            if (!this._settings.get_boolean('track-dialogs'))
+                return;
+            
+            const tracked = this._trackWindow(window);
+            tracked.parent = parent;
+            tracked.connect('unmanaging', () => {
+                tracked.parent = null;
+            }, parent);
+            this._identify(tracked, 0);
+            return;
+        }
+        
         // Only track normal windows (not dialogs, menus, etc.)
         if (window.get_window_type() !== Meta.WindowType.NORMAL)
             return;
@@ -534,461 +1359,1888 @@ class WindowSizeManager {
         if (window.is_skip_taskbar())
             return;
         
-        // Try to get a stable window ID
-        const windowId = this._getWindowId(window);
+        this._identify(this._trackWindow(window), 0);
+    }
+    
+    /**
+     * Gets the parent of a dialog or tool window: a dialog, modal dialog
+     * or utility window, or a normal window kept off the taskbar, that is
+     * transient for another window.
+     * @returns {Meta.Window|null} The parent, or null if it isn't a dialog
+     */
+    _getDialogParent(window) {
+        const type = window.get_window_type();
+        const isDialog = DIALOG_WINDOW_TYPES.includes(type) ||
+                         (type === Meta.WindowType.NORMAL && window.is_skip_taskbar());
         
-        if (windowId) {
-            // We have a stable ID - proceed normally
-            console.log(`[WindowSizeTracker] WINDOW IDENTIFIED: "${windowId}" (type: ${window.get_window_type()}, wm_class: ${window.get_wm_class()})`);
-            this._trackWindow(window);
-            this._scheduleRestoration(window);
-        } else {
-            // No stable ID yet - schedule periodic checks until we get one
-            console.log(`[WindowSizeTracker] WINDOW CREATED: awaiting stable ID (type: ${window.get_window_type()}, wm_class: ${window.get_wm_class()})`);
-            this._scheduleWindowCheck(window);
+        return isDialog ? window.get_transient_for() : null;
+    }
+    
+    /**
+     * Gets the identity a dialog is saved under: the ID of its parent's
+     * app and its role where the toolkit sets one, e.g.
+     * "org.gnome.texteditor/dialog:GtkFileChooserDialog", otherwise its
+     * window type, e.g. "org.gnome.texteditor/type:modal-dialog". Titles
+     * aren't used as they often name the document, which would leave an
+     * entry behind per document.
+     * @returns {string} The dialog ID
+     */
+    _getDialogId(window, parent, windowId) {
+        const parentId = this._getWindowId(parent) ?? windowId;
+        const role = window.get_role();
+        
+        if (role)
+            return `${parentId}/dialog:${role}`;
+        
+        return `${parentId}/type:${DIALOG_TYPE_NAMES[window.get_window_type()] ?? 'window'}`;
+    }
+    
+    /**
+     * Checks whether a rule says to ignore a newly identified window.
+     */
+    _isIgnoredByRule(window, windowId) {
+        const policy = this._rules.getPolicy(window);
+        
+        if (policy.ignore) {
+            logger.info(`WINDOW IGNORED: "${windowId}" (rule "${policy.rule}")`);
+            this._recordEvent('ignored', {windowId, rule: policy.rule});
         }
+        
+        return policy.ignore;
     }
     
     /**
-     * Schedules periodic checks for a window that doesn't have a stable ID yet.
-     * Waits for the app ID or WM_CLASS to become available.
+     * Identifies a new window by its app ID or WM_CLASS, checking again
+     * periodically while neither is available yet, then restores it.
      */
-    _scheduleWindowCheck(window, attempt = 0) {
-        if (attempt >= WINDOW_READY_MAX_ATTEMPTS) {
-            console.log(`[WindowSizeTracker] WINDOW IDENTIFICATION FAILED: gave up after ${attempt} attempts`);
-            this._pendingIdentification.delete(window);
+    _identify(tracked, attempt) {
+        const window = tracked.window;
+        const windowId = this._getWindowId(window);
+        
+        if (!windowId) {
+            if (attempt >= WINDOW_READY_MAX_ATTEMPTS) {
+                logger.info(`WINDOW IDENTIFICATION FAILED: gave up after ${attempt} attempts`);
+                this._recordEvent('identification-failed', {wmClass: window.get_wm_class(), attempts: attempt});
+                this._untrackWindow(tracked);
+                return;
+            }
+            
+            if (attempt === 0)
+                logger.debug(`WINDOW CREATED: awaiting stable ID (type: ${window.get_window_type()}, wm_class: ${window.get_wm_class()})`);
+            
+            tracked.schedule(WINDOW_READY_TIMEOUT_MS, () => this._identify(tracked, attempt + 1));
             return;
         }
         
-        // Clear any existing timer for this window
-        const existingTimer = this._pendingIdentification.get(window);
-        if (existingTimer) {
-            GLib.Source.remove(existingTimer);
+        if (this._isIgnoredByRule(window, windowId)) {
+            this._untrackWindow(tracked);
+            return;
         }
         
-        const timeoutId = GLib.timeout_add(
-            GLib.PRIORITY_DEFAULT,
-            WINDOW_READY_TIMEOUT_MS,
-            () => {
-                this._pendingIdentification.delete(window);
-                
-                // Check if window is still valid
-                try {
-                    if (!window.get_compositor_private())
-                        return GLib.SOURCE_REMOVE;
-                } catch (e) {
-                    return GLib.SOURCE_REMOVE;
-                }
-                
-                // Try to get stable ID now
-                const windowId = this._getWindowId(window);
-                
-                if (windowId) {
-                    console.log(`[WindowSizeTracker] WINDOW IDENTIFIED (delayed, attempt ${attempt + 1}): "${windowId}" (wm_class: ${window.get_wm_class()})`);
-                    this._trackWindow(window);
-                    this._scheduleRestoration(window);
-                } else {
-                    // Still no ID - try again
-                    this._scheduleWindowCheck(window, attempt + 1);
-                }
-                
-                return GLib.SOURCE_REMOVE;
-            }
-        );
+        if (tracked.parent)
+            tracked.dialogId = this._getDialogId(window, tracked.parent, windowId);
         
-        this._pendingIdentification.set(window, timeoutId);
+        if (attempt === 0)
+            logger.info(`WINDOW IDENTIFIED: "${windowId}" (type: ${window.get_window_type()}, wm_class: ${window.get_wm_class()})`);
+        else
+            logger.info(`WINDOW IDENTIFIED (delayed, attempt ${attempt}): "${windowId}" (wm_class: ${window.get_wm_class()})`);
+        
+        this._recordEvent('identified', {windowId, wmClass: window.get_wm_class(), attempts: attempt});
+        
+        this._connectWindowSignals(tracked);
+        this._scheduleRestoration(tracked);
+        
+        this.emit('tracked-windows-changed');
     }
     
     /**
-     * Schedules size restoration for a newly created window.
-     * For Nautilus windows, waits for location-based ID before restoring.
+     * Schedules size restoration for a newly identified window.
+     * Resolves the window's identity through the resolver chain first.
      */
-    _scheduleRestoration(window) {
-        const windowId = this._getWindowId(window);
-
-        if (!windowId)
+    _scheduleRestoration(tracked) {
+        const window = tracked.window;
+        const baseId = this._getWindowId(window);
+        
+        if (this._settings.get_boolean('paused')) {
+            logger.info(`STATE RESTORE: Skipped "${baseId}", tracking is paused`);
+            this._recordEvent('restore-skipped', {windowId: baseId, reason: 'paused'});
+            tracked.transition(WindowState.TRACKED);
             return;
-
-        // For Nautilus windows with generic ID, wait for potential location-based ID
-        // GNOME dynamically updates Nautilus window app IDs to include location info
-        if (windowId === 'org.gnome.nautilus') {
-            console.log(`[WindowSizeTracker] Nautilus window detected, waiting for location ID...`);
-            this._waitForNautilusLocationId(window, 0);
+        }
+        
+        if (this._isAppListed('disabled-apps', baseId)) {
+            logger.info(`STATE RESTORE: Skipped "${baseId}", tracking is off for the app`);
+            this._recordEvent('restore-skipped', {windowId: baseId, reason: 'app not tracked'});
+            tracked.transition(WindowState.TRACKED);
             return;
         }
-
-        // Normal restoration flow for non-Nautilus windows
-        this._doRestoration(window, windowId);
+        
+        if (this._isAppListed('restore-excluded-apps', baseId)) {
+            logger.info(`STATE RESTORE: Skipped "${baseId}", restoration is off for the app`);
+            this._recordEvent('restore-skipped', {windowId: baseId, reason: 'app not restored'});
+            tracked.transition(WindowState.TRACKED);
+            return;
+        }
+        
+        // Dialogs are identified by their parent and role, not resolvers;
+        // identified from here on, so they get an instance slot
+        if (tracked.dialogId) {
+            tracked.transition(WindowState.RESTORING);
+            this._doRestoration(tracked, tracked.dialogId);
+            return;
+        }
+        
+        const resolvers = this._identityResolvers.getApplicable(window, baseId);
+        
+        tracked.transition(WindowState.WAITING_FOR_IDENTITY);
+        this._waitForIdentity(tracked, baseId, resolvers, 0);
     }
-
+    
     /**
-     * Waits for Nautilus window to get a location-based app ID.
-     * GNOME updates the app association shortly after window creation.
+     * Resolves a new window's identity, then restores it. Resolvers are
+     * tried in order; while one that hasn't produced an identity yet is
+     * still within its wait budget, polls again rather than falling through
+     * to lower-priority resolvers. Falls back to the base ID when none
+     * produce one.
      */
-    _waitForNautilusLocationId(window, attempt) {
-        if (attempt >= NAUTILUS_LOCATION_MAX_ATTEMPTS) {
-            // Give up waiting, use generic nautilus ID
-            console.log(`[WindowSizeTracker] No location ID after ${attempt} attempts, using generic "org.gnome.nautilus"`);
-            this._doRestoration(window, 'org.gnome.nautilus');
-            return;
+    _waitForIdentity(tracked, baseId, resolvers, attempt) {
+        for (const resolver of resolvers) {
+            const identity = resolver.resolve(tracked.window, baseId);
+            
+            if (identity) {
+                logger.info(`IDENTITY RESOLVED: "${identity}" via ${resolver.name} (attempt ${attempt + 1})`);
+                this._recordEvent('identity-resolved', {windowId: identity, resolver: resolver.name});
+                this._doRestoration(tracked, identity);
+                return;
+            }
+            
+            if (attempt < resolver.maxAttempts()) {
+                logger.debug(`Waiting for ${resolver.name} identity of "${baseId}" (attempt ${attempt + 1})...`);
+                tracked.schedule(IDENTITY_POLL_INTERVAL_MS,
+                    () => this._waitForIdentity(tracked, baseId, resolvers, attempt + 1));
+                return;
+            }
         }
-
-        // Clear any existing pending restoration for this window
-        this._clearPendingRestoration(window);
-
-        const timeoutId = GLib.timeout_add(
-            GLib.PRIORITY_DEFAULT,
-            NAUTILUS_LOCATION_WAIT_MS,
-            () => {
-                this._pendingRestoration.delete(window);
-
-                // Check if window is still valid
-                try {
-                    if (!window.get_compositor_private())
-                        return GLib.SOURCE_REMOVE;
-                } catch (e) {
-                    return GLib.SOURCE_REMOVE;
-                }
-
-                const newId = this._getWindowId(window);
-
-                if (this._isLocationBasedId(newId)) {
-                    // Got location-based ID, proceed with restoration
-                    console.log(`[WindowSizeTracker] Nautilus location ID detected: "${newId}"`);
-                    this._doRestoration(window, newId);
-                } else {
-                    // Still generic, keep waiting
-                    console.log(`[WindowSizeTracker] Waiting for Nautilus location ID (attempt ${attempt + 1})...`);
-                    this._waitForNautilusLocationId(window, attempt + 1);
-                }
-
-                return GLib.SOURCE_REMOVE;
-            }
-        );
-
-        this._pendingRestoration.set(window, { timeoutId });
+        
+        if (resolvers.length > 0)
+            logger.debug(`No derived identity after ${attempt} attempts, using "${baseId}"`);
+        
+        this._doRestoration(tracked, baseId);
     }
-
+    
     /**
      * Performs the actual restoration for a window with a known stable ID.
      * Uses a multi-pronged approach for fastest possible restoration:
      * 1. Try immediate restoration (window may already be ready)
      * 2. Connect to first-frame signal on the actor (fires just before first paint)
      * 3. Set a short fallback timeout in case first-frame doesn't fire
+     * Whichever succeeds first ends the restoring state, cancelling the others.
+     * @param {boolean} [opening] - Whether the window has just opened, rather
+     *   than being reset on request; only opening windows are placed by the
+     *   placement strategy
+     * @returns {boolean} True if saved state was found and is being restored
      */
-    _doRestoration(window, windowId) {
-        // Create a unique key for this window instance
-        const windowInstanceKey = `${windowId}:${window.get_stable_sequence()}`;
-
+    _doRestoration(tracked, windowId, opening = true) {
+        const window = tracked.window;
+        
         // Check if already restored
-        if (this._restoredWindows.has(windowInstanceKey))
-            return;
-
-        // Get saved size
-        const savedSize = this._dataStore.get(windowId);
-
-        if (!savedSize) {
-            console.log(`[WindowSizeTracker] STATE RESTORE: No saved state for "${windowId}"`);
-            return;
+        if (tracked.restored) {
+            this._recordEvent('restore-skipped', {windowId, reason: 'already restored'});
+            tracked.transition(WindowState.TRACKED);
+            return false;
         }
-
-        console.log(`[WindowSizeTracker] STATE RESTORE: Found saved state for "${windowId}" -> ${savedSize.width}x${savedSize.height}, attempting restoration...`);
-
-        // Clear any existing pending restoration
-        this._clearPendingRestoration(window);
-
+        
+        // Get saved geometry for this instance in the current monitor layout;
+        // an instance that has none yet starts from the app's first window
+        const layoutKey = this._getMonitorLayoutKey();
+        let storageId = this._getStorageId(window, windowId);
+        let layoutGeometry = this._findSavedGeometry(window, storageId, layoutKey);
+        
+        if (!layoutGeometry && storageId !== windowId) {
+            storageId = windowId;
+            layoutGeometry = this._findSavedGeometry(window, storageId, layoutKey);
+        }
+        
+        // A fixed size from a rule applies even without saved state
+        if (!layoutGeometry && this._rules.getPolicy(window).fixedSize)
+            layoutGeometry = {};
+        
+        if (!layoutGeometry) {
+            logger.info(`STATE RESTORE: No saved state for "${windowId}"`);
+            this._recordEvent('restore-skipped', {windowId, reason: 'no saved state'});
+            tracked.transition(WindowState.TRACKED);
+            return false;
+        }
+        
+        // Carry the workspace along unless restoring it is turned off;
+        // dialogs stay with their parent
+        const savedGeometry = {
+            ...layoutGeometry,
+            workspace: !tracked.dialogId && this._shouldRestoreWorkspace(this._getWindowId(window))
+                ? this._dataStore.getWorkspace(storageId)
+                : null,
+        };
+        
+        logger.info(`STATE RESTORE: Found saved state for "${storageId}" [${layoutKey}] -> ${savedGeometry.width ?? '?'}x${savedGeometry.height ?? '?'}, attempting restoration...`);
+        this._recordEvent('restore-attempted', {
+            windowId: storageId,
+            layoutKey,
+            width: savedGeometry.width,
+            height: savedGeometry.height,
+        });
+        
+        // Keep entries that are restored but never changed from expiring
+        this._dataStore.markUsed(storageId);
+        
+        // Cancels any restoration still pending for the window
+        tracked.transition(WindowState.RESTORING);
+        
         // Strategy 1: Try immediate restoration - window might already be ready
-        const immediateSuccess = this._restoreWindowSize(window, savedSize, windowInstanceKey);
-        if (immediateSuccess) {
+        if (this._restoreTrackedWindow(tracked, savedGeometry, opening))
+            return true;
+        
+        // Strategy 2: Restore just before the first frame is painted
+        tracked.connectFirstFrame(() => this._attemptRestoration(tracked, savedGeometry, opening, 0));
+        
+        // Strategy 3: Fallback timeout in case first-frame doesn't fire or
+        // the window needs more time, retrying a few times
+        tracked.schedule(this._settings.get_int('restore-fallback-delay-ms'),
+            () => this._attemptRestoration(tracked, savedGeometry, opening, 0));
+        
+        return true;
+    }
+    
+    /**
+     * Checks whether workspaces should be restored for a window identifier,
+     * globally and for its app.
+     */
+    _shouldRestoreWorkspace(windowId) {
+        if (!this._settings.get_boolean('restore-workspace'))
+            return false;
+        
+        return !this._isAppListed('workspace-restore-excluded-apps', windowId);
+    }
+    
+    /**
+     * Checks whether a settings key listing app IDs includes a window's
+     * base ID. Listed IDs may carry a ".desktop" suffix and any case.
+     */
+    _isAppListed(key, windowId) {
+        return this._settings.get_strv(key)
+            .map(appId => appId.replace(/\.desktop$/, '').toLowerCase())
+            .includes(windowId);
+    }
+    
+    /**
+     * Moves a window to a saved workspace index. With dynamic workspaces,
+     * missing workspaces are appended; with a fixed number of workspaces
+     * an index that no longer exists is ignored.
+     * @returns {boolean} True if the window was moved
+     */
+    _restoreWorkspace(window, workspaceIndex) {
+        const workspaceManager = global.workspace_manager;
+        const current = window.get_workspace();
+        
+        if (!current || current.index() === workspaceIndex)
+            return false;
+        
+        if (workspaceIndex >= workspaceManager.get_n_workspaces()) {
+            if (!Meta.prefs_get_dynamic_workspaces())
+                return false;
+            
+            while (workspaceManager.get_n_workspaces() <= workspaceIndex)
+                workspaceManager.append_new_workspace(false, global.get_current_time());
+        }
+        
+        window.change_workspace_by_index(workspaceIndex, false);
+        
+        logger.info(`STATE RESTORED: "${this._getWindowId(window)}" -> workspace ${workspaceIndex}`);
+        
+        return true;
+    }
+    
+    /**
+     * Picks the saved geometry to restore for a window.
+     * Uses the entry for the current monitor layout when there is one.
+     * For a layout that has never been seen, falls back to the entry saved
+     * at the current monitor scale on the work area closest in size to the
+     * window's current one, and among equally close entries to the most
+     * recently updated.
+     * @returns {object|null} Saved geometry, or null if nothing is saved
+     */
+    _findSavedGeometry(window, windowId, layoutKey) {
+        const exact = this._dataStore.get(windowId, layoutKey);
+        if (exact)
+            return exact;
+        
+        const candidates = Object.entries(this._dataStore.getLayouts(windowId));
+        if (candidates.length === 0)
+            return null;
+        
+        const workArea = this._getWorkArea(window);
+        const scale = global.display.get_monitor_scale(window.get_monitor());
+        const scaleMismatch = geometry =>
+            geometry.scale !== undefined && geometry.scale !== scale ? 1 : 0;
+        const distance = geometry => {
+            if (!workArea || !geometry.workArea)
+                return Infinity;
+            return Math.abs(geometry.workArea.width - workArea.width) +
+                   Math.abs(geometry.workArea.height - workArea.height);
+        };
+        
+        candidates.sort(([, a], [, b]) =>
+            scaleMismatch(a) - scaleMismatch(b) ||
+            distance(a) - distance(b) ||
+            (b.lastUpdated ?? 0) - (a.lastUpdated ?? 0));
+        
+        const [fallbackKey, fallback] = candidates[0];
+        logger.info(`STATE RESTORE: Layout [${layoutKey}] not seen for "${windowId}", falling back to [${fallbackKey}]`);
+        
+        return fallback;
+    }
+    
+    /**
+     * Gets the connector names of the active monitors, indexed by
+     * logical monitor index. Monitors mirrored onto one logical monitor
+     * are joined with '='. Falls back to "monitor-<index>" where mutter
+     * does not expose its monitor list.
+     */
+    _getMonitorConnectors() {
+        const nMonitors = global.display.get_n_monitors();
+        const connectors = new Array(nMonitors).fill(null);
+        const monitorManager = global.backend.get_monitor_manager();
+        
+        for (const monitor of monitorManager.get_monitors?.() ?? []) {
+            const connector = monitor.get_connector();
+            const index = monitorManager.get_monitor_for_connector(connector);
+            if (index < 0 || index >= nMonitors)
+                continue;
+            connectors[index] = connectors[index]
+                ? [connectors[index], connector].sort().join('=')
+                : connector;
+        }
+        
+        return connectors.map((connector, index) => connector ?? `monitor-${index}`);
+    }
+    
+    /**
+     * Builds a key describing the current monitor configuration from each
+     * monitor's connector, logical resolution and scale, e.g.
+     * "DP-2:3840x2160@1.5+eDP-1:1440x900@2".
+     */
+    _getMonitorLayoutKey() {
+        const connectors = this._getMonitorConnectors();
+        
+        return connectors.map((connector, index) => {
+            const geometry = global.display.get_monitor_geometry(index);
+            const scale = global.display.get_monitor_scale(index);
+            return `${connector}:${geometry.width}x${geometry.height}@${scale}`;
+        }).sort().join('+');
+    }
+    
+    /**
+     * Gets the logical monitor index of a connector name as returned by
+     * _getMonitorConnectors().
+     * @returns {number} The monitor index, or -1 if it is not connected
+     */
+    _getMonitorIndexForConnector(connector) {
+        if (!connector)
+            return -1;
+        return this._getMonitorConnectors().indexOf(connector);
+    }
+    
+    /**
+     * Attempts to restore window size with retry logic.
+     * Used when immediate restoration failed, on first frame or after the
+     * fallback delay. Gives up after a few attempts, tracking the window
+     * as it is.
+     */
+    _attemptRestoration(tracked, savedGeometry, opening, attempt) {
+        if (this._restoreTrackedWindow(tracked, savedGeometry, opening))
+            return;
+        
+        if (attempt + 1 >= MAX_RESTORE_ATTEMPTS) {
+            const windowId = this._getWindowId(tracked.window);
+            logger.info(`STATE RESTORE: Gave up on "${windowId}" after ${MAX_RESTORE_ATTEMPTS} attempts`);
+            this._recordEvent('restore-failed', {windowId, attempts: MAX_RESTORE_ATTEMPTS});
+            tracked.transition(WindowState.TRACKED);
             return;
         }
-
-        // Strategy 2 & 3: Use first-frame signal with fallback timeout
-        const pending = {};
-
-        // Get the window actor for first-frame signal
-        const actor = window.get_compositor_private();
-        if (actor) {
-            pending.signalId = actor.connect('first-frame', () => {
-                this._clearPendingRestoration(window);
-                this._restoreWindowSize(window, savedSize, windowInstanceKey);
-            });
+        
+        // Replaces the fallback timeout, if it is still pending
+        tracked.schedule(RESTORE_RETRY_DELAY_MS,
+            () => this._attemptRestoration(tracked, savedGeometry, opening, attempt + 1));
+    }
+    
+    /**
+     * Restores saved geometry to a tracked window. When that changed a
+     * window that has just opened, the geometry it had before is kept so
+     * the restoration can be undone.
+     * @returns {boolean} True if restoration was successful
+     */
+    _restoreTrackedWindow(tracked, savedGeometry, opening) {
+        const window = tracked.window;
+        const preRestore = {
+            rect: window.get_frame_rect(),
+            workspace: window.get_workspace()?.index() ?? null,
+            state: this._getWindowState(window),
+        };
+        
+        const result = this._restoreWindowSize(window, savedGeometry, opening);
+        if (!result)
+            return false;
+        
+        this._finishRestoration(tracked);
+        
+        if (opening && result.changed) {
+            tracked.preRestore = preRestore;
+            
+            // Dialogs are placed each time they open, so aren't announced
+            if (!tracked.parent)
+                this.emit('restoration-undoable', window, this._resolveWindowId(window));
         }
-
-        // Fallback timeout in case first-frame doesn't fire or window needs more time
-        pending.timeoutId = GLib.timeout_add(
+        
+        return true;
+    }
+    
+    /**
+     * Marks a window as restored and tracks its changes from now on,
+     * cancelling any restoration attempt still pending.
+     */
+    _finishRestoration(tracked) {
+        tracked.restored = true;
+        tracked.transition(WindowState.TRACKED);
+    }
+    
+    /**
+     * Restores the saved workspace, geometry and state to a window. The
+     * window is moved to the monitor it was saved on when that monitor is
+     * connected.
+     * The saved position is used when it still lies within the work area;
+     * otherwise the window is centered on its monitor. Windows that have
+     * just opened are placed by the placement strategy instead. Saved
+     * maximized, fullscreen, always-on-top and on-all-workspaces flags are
+     * re-applied on top of the normal geometry, so un-maximizing lands on it.
+     * @param {boolean} [opening] - Whether the window has just opened
+     * @returns {object|null} {changed} if restoration was successful, where
+     *   changed tells whether the window was moved, resized or had its
+     *   workspace or state changed; null if it could not be applied yet
+     */
+    _restoreWindowSize(window, savedGeometry, opening = false) {
+        try {
+            // Verify window is still valid and mapped
+            if (!window.get_compositor_private())
+                return null;
+            
+            // Don't restore if window is minimized - retry later
+            if (window.minimized)
+                return null;
+            
+            // Get current geometry to check if window is ready
+            const frameRect = window.get_frame_rect();
+            
+            // If the window has no size yet, it's not ready
+            if (frameRect.width === 0 || frameRect.height === 0)
+                return null;
+            
+            // Leave windows the application made fullscreen itself alone
+            if (window.fullscreen) {
+                // Report success so we don't keep retrying
+                return {changed: false};
+            }
+            
+            const state = savedGeometry.state ?? null;
+            const policy = this._rules.getPolicy(window);
+            
+            // Entries first saved while maximized or fullscreen have state
+            // only; sizes below the minimum are not applied either
+            const minSize = this._settings.get_int('min-window-size');
+            const hasGeometry = policy.fixedSize !== null ||
+                                (savedGeometry.width >= minSize &&
+                                 savedGeometry.height >= minSize);
+            
+            let changed = false;
+            
+            // GNOME 49: Use is_maximized() instead of get_maximized()
+            if (window.is_maximized()) {
+                // Entries saved without state never record maximized windows,
+                // so keep the application's choice
+                if (!state)
+                    return {changed: false};
+                
+                // Unmaximize so the normal geometry can be applied underneath
+                window.unmaximize();
+                changed = true;
+            }
+            
+            // Move to the saved workspace first, the work area depends on it;
+            // windows on all workspaces stay where they are
+            if (Number.isInteger(savedGeometry.workspace) && !state?.sticky &&
+                this._restoreWorkspace(window, savedGeometry.workspace))
+                changed = true;
+            
+            let placement = 'state only';
+            
+            if (hasGeometry) {
+                const applied = this._applySavedGeometry(window, savedGeometry, frameRect, policy, opening);
+                if (!applied)
+                    return null;
+                
+                placement = applied.placement;
+                if (applied.moved)
+                    changed = true;
+            }
+            
+            if (this._applyWindowState(window, state))
+                changed = true;
+            
+            const windowId = this._resolveWindowId(window);
+            const ruleNote = policy.rule !== null ? ` (rule "${policy.rule}")` : '';
+            const changeNote = changed ? '' : ' (unchanged)';
+            logger.info(`STATE RESTORED: "${windowId}" -> ${placement}${this._describeState(state)}${ruleNote}${changeNote}`);
+            this._recordEvent('restore-applied', {windowId, placement, state, rule: policy.rule, changed});
+            
+            this.emit('window-restored', window, windowId);
+            
+            return {changed};
+            
+        } catch (e) {
+            logger.error(`Error restoring window: ${e.message}`);
+            this._recordEvent('restore-error', {windowId: this._getWindowId(window), message: e.message});
+            return null;
+        }
+    }
+    
+    /**
+     * Moves and resizes a window to its saved normal geometry, as far as
+     * the window's rule policy allows. Where a window that has just opened
+     * goes is decided by the placement strategy, independently of the
+     * restored size; snapshots, layout changes and resets on request
+     * always use the saved position.
+     * @param {boolean} opening - Whether the window has just opened
+     * @returns {object|null} {placement, moved}, the description of the
+     *   applied geometry and whether the window had to be moved or resized
+     *   for it; null if it could not be applied yet
+     */
+    _applySavedGeometry(window, savedGeometry, frameRect, policy, opening) {
+        // Dialogs are placed on their parent, other windows by their
+        // placement strategy unless their position is kept
+        const parent = this._windows.get(window)?.parent;
+        let strategy = null;
+        if (!parent && policy.restorePosition)
+            strategy = opening ? policy.placement ?? this._settings.get_string('placement') : 'saved';
+        
+        // Get monitor work area to ensure window fits
+        const monitorIndex = parent
+            ? parent.get_monitor()
+            : this._getPlacementMonitor(window, strategy, savedGeometry);
+        const workArea = this._getWorkArea(window, monitorIndex);
+        if (!workArea)
+            return null;
+        
+        // Proportional restores need the geometry relative to the work area
+        const mode = policy.restoreMode ?? this._settings.get_string('restore-mode');
+        const relative = mode === 'proportional' ? this._getRelativeGeometry(savedGeometry) : null;
+        
+        let {width, height} = policy.restoreSize ? savedGeometry : frameRect;
+        if (policy.restoreSize && relative) {
+            width = Math.round(relative.width * workArea.width);
+            height = Math.round(relative.height * workArea.height);
+        }
+        if (policy.fixedSize)
+            ({width, height} = policy.fixedSize);
+        
+        // Fit dimensions into the work area
+        let newWidth, newHeight;
+        if (mode === 'fit') {
+            const factor = Math.min(1, workArea.width / width, workArea.height / height);
+            newWidth = Math.floor(width * factor);
+            newHeight = Math.floor(height * factor);
+        } else {
+            newWidth = Math.min(width, workArea.width);
+            newHeight = Math.min(height, workArea.height);
+        }
+        
+        const position = relative && Number.isFinite(relative.x) && Number.isFinite(relative.y)
+            ? {x: Math.round(relative.x * workArea.width), y: Math.round(relative.y * workArea.height)}
+            : savedGeometry;
+        
+        // Keeps a position within the work area
+        const clampX = x => Math.max(workArea.x, Math.min(x, workArea.x + workArea.width - newWidth));
+        const clampY = y => Math.max(workArea.y, Math.min(y, workArea.y + workArea.height - newHeight));
+        const centered = strategy === 'saved'
+            ? policy.center
+            : ['center', 'focused-monitor', 'last-monitor'].includes(strategy);
+        
+        // Place dialogs at their saved offset from their parent, and other
+        // windows as their strategy says; the saved strategy uses the saved
+        // position if it is still on-screen and centers otherwise. Anything
+        // else keeps mutter's position within the work area.
+        let newX, newY, placement;
+        if (parent && policy.restorePosition &&
+            Number.isInteger(savedGeometry.x) && Number.isInteger(savedGeometry.y)) {
+            const parentRect = parent.get_frame_rect();
+            newX = clampX(parentRect.x + savedGeometry.x);
+            newY = clampY(parentRect.y + savedGeometry.y);
+            placement = 'placed on parent';
+        } else if (strategy === 'saved' &&
+            this._isPositionOnScreen(position, newWidth, newHeight, workArea)) {
+            newX = workArea.x + position.x;
+            newY = workArea.y + position.y;
+            placement = 'placed';
+        } else if (strategy === 'pointer') {
+            const [pointerX, pointerY] = global.get_pointer();
+            newX = clampX(pointerX - Math.floor(newWidth / 2));
+            newY = clampY(pointerY - Math.floor(newHeight / 2));
+            placement = 'under pointer';
+        } else if (strategy === 'cascade') {
+            // Down and right of the app's topmost other window, back at the
+            // top left when there is none or the window would leave the
+            // work area; shifted off any other window of the app below
+            const offset = this._settings.get_int('cascade-offset');
+            const siblingRect = this._getTopmostSibling(window)?.get_frame_rect();
+            newX = workArea.x;
+            newY = workArea.y;
+            if (siblingRect &&
+                siblingRect.x + offset >= workArea.x &&
+                siblingRect.y + offset >= workArea.y &&
+                siblingRect.x + offset + newWidth <= workArea.x + workArea.width &&
+                siblingRect.y + offset + newHeight <= workArea.y + workArea.height) {
+                newX = siblingRect.x + offset;
+                newY = siblingRect.y + offset;
+            }
+            placement = 'cascaded';
+        } else if (centered) {
+            newX = workArea.x + Math.floor((workArea.width - newWidth) / 2);
+            newY = workArea.y + Math.floor((workArea.height - newHeight) / 2);
+            placement = 'centered';
+        } else {
+            newX = clampX(frameRect.x);
+            newY = clampY(frameRect.y);
+            placement = 'kept';
+        }
+        
+        // Don't stack a newly opened instance of the app exactly on top of
+        // another one
+        if (opening && strategy !== 'mutter')
+            [newX, newY] = this._cascadePosition(window, newX, newY, newWidth, newHeight, workArea);
+        
+        // Check if we actually need to change anything
+        const tolerance = this._settings.get_int('restore-tolerance');
+        const sizeMatch = Math.abs(frameRect.width - newWidth) <= tolerance &&
+                          Math.abs(frameRect.height - newHeight) <= tolerance;
+        const posMatch = Math.abs(frameRect.x - newX) <= tolerance &&
+                         Math.abs(frameRect.y - newY) <= tolerance;
+        
+        // Apply the new size and position unless already there
+        const moved = !sizeMatch || !posMatch;
+        if (moved)
+            window.move_resize_frame(true, newX, newY, newWidth, newHeight);
+        
+        const strategyNote = strategy ? ` (${strategy})` : '';
+        return {
+            placement: `${newWidth}x${newHeight} ${placement}${strategyNote} at (${newX}, ${newY}), ${mode}`,
+            moved,
+        };
+    }
+    
+    /**
+     * Gets the monitor a placement strategy puts a window on.
+     * @param {string|null} strategy - The strategy, or null if the
+     *   window's position is kept
+     * @returns {number} The monitor index
+     */
+    _getPlacementMonitor(window, strategy, savedGeometry) {
+        let monitorIndex = -1;
+        
+        if (strategy === 'saved' || strategy === 'last-monitor') {
+            monitorIndex = this._getMonitorIndexForConnector(savedGeometry.monitor);
+        } else if (strategy === 'pointer') {
+            monitorIndex = global.display.get_current_monitor();
+        } else if (strategy === 'focused-monitor') {
+            const focusWindow = global.display.focus_window;
+            if (focusWindow && focusWindow !== window)
+                monitorIndex = focusWindow.get_monitor();
+        } else if (strategy === 'cascade') {
+            monitorIndex = this._getTopmostSibling(window)?.get_monitor() ?? -1;
+        }
+        
+        return monitorIndex >= 0 ? monitorIndex : window.get_monitor();
+    }
+    
+    /**
+     * Gets saved geometry as fractions of the work area it was saved on.
+     * Entries saved before this was stored derive it from their work area.
+     * @returns {object|null} {x, y, width, height}, with x/y NaN if no
+     *   position was saved, or null if the work area isn't known
+     */
+    _getRelativeGeometry(savedGeometry) {
+        if (savedGeometry.relative)
+            return {x: NaN, y: NaN, ...savedGeometry.relative};
+        
+        const {workArea} = savedGeometry;
+        if (!workArea?.width || !workArea?.height)
+            return null;
+        
+        return {
+            x: savedGeometry.x / workArea.width,
+            y: savedGeometry.y / workArea.height,
+            width: savedGeometry.width / workArea.width,
+            height: savedGeometry.height / workArea.height,
+        };
+    }
+    
+    /**
+     * Offsets a target position diagonally while it coincides with the
+     * top-left corner of another open window of the same app, wrapping
+     * back to the work area's corner when the window would leave it.
+     * @returns {number[]} The [x, y] position to use
+     */
+    _cascadePosition(window, x, y, width, height, workArea) {
+        const offset = this._settings.get_int('cascade-offset');
+        if (offset === 0)
+            return [x, y];
+        
+        const tolerance = this._settings.get_int('restore-tolerance');
+        const siblings = this._getSiblingRects(window);
+        const isTaken = () => siblings.some(rect =>
+            Math.abs(rect.x - x) <= tolerance && Math.abs(rect.y - y) <= tolerance);
+        
+        // Bounded so a work area full of siblings can't loop forever
+        for (let i = 0; i < siblings.length && isTaken(); i++) {
+            x += offset;
+            y += offset;
+            
+            if (x + width > workArea.x + workArea.width)
+                x = workArea.x;
+            if (y + height > workArea.y + workArea.height)
+                y = workArea.y;
+        }
+        
+        return [x, y];
+    }
+    
+    /**
+     * Re-applies saved window state flags. Only flags that were set are
+     * applied; the application's own choice is kept for the others.
+     * @returns {boolean} True if any flag was applied
+     */
+    _applyWindowState(window, state) {
+        if (!state)
+            return false;
+        
+        let changed = false;
+        
+        if (state.above && !window.is_above()) {
+            window.make_above();
+            changed = true;
+        }
+        
+        if (state.sticky && !window.on_all_workspaces_requested) {
+            window.stick();
+            changed = true;
+        }
+        
+        if (state.tiled && this._settings.get_boolean('restore-tiling')) {
+            this._placeTiled(window, state.tiled);
+            changed = true;
+        }
+        
+        if (state.maximized && !window.is_maximized()) {
+            window.maximize();
+            changed = true;
+        }
+        
+        if (state.fullscreen && !window.fullscreen) {
+            window.make_fullscreen();
+            changed = true;
+        }
+        
+        return changed;
+    }
+    
+    /**
+     * Reads the state flags persisted for a window.
+     * Sticky means placed on all workspaces by request, not because
+     * workspaces only apply to the primary monitor.
+     */
+    _getWindowState(window) {
+        return {
+            maximized: window.is_maximized(),
+            fullscreen: window.fullscreen,
+            above: window.is_above(),
+            sticky: window.on_all_workspaces_requested,
+            tiled: this._getTileSide(window),
+        };
+    }
+    
+    /**
+     * Gets the half of the work area a window is edge-tiled to. Tiled
+     * windows are maximized vertically but not horizontally; windows
+     * placed by _placeTiled() count until they are moved or resized.
+     * @returns {string|null} 'left', 'right' or null if not tiled
+     */
+    _getTileSide(window) {
+        const frameRect = window.get_frame_rect();
+        const tolerance = this._settings.get_int('restore-tolerance');
+        
+        const tracked = this._windows.get(window);
+        const placed = tracked?.placedTile;
+        if (placed) {
+            const {rect} = placed;
+            if (Math.abs(frameRect.x - rect.x) <= tolerance && Math.abs(frameRect.y - rect.y) <= tolerance &&
+                Math.abs(frameRect.width - rect.width) <= tolerance && Math.abs(frameRect.height - rect.height) <= tolerance)
+                return placed.side;
+            tracked.placedTile = null;
+        }
+        
+        if (!window.maximized_vertically || window.maximized_horizontally)
+            return null;
+        
+        const workArea = this._getWorkArea(window);
+        if (!workArea)
+            return null;
+        
+        if (Math.abs(frameRect.x - workArea.x) <= tolerance)
+            return 'left';
+        if (Math.abs(frameRect.x + frameRect.width - (workArea.x + workArea.width)) <= tolerance)
+            return 'right';
+        return null;
+    }
+    
+    /**
+     * Places a window on the left or right half of its work area, where
+     * edge tiling would put it. Extensions can't tile windows themselves,
+     * so it is placed there as a regular window and remembered as tiled,
+     * keeping its saved normal geometry from being overwritten.
+     */
+    _placeTiled(window, side) {
+        const workArea = this._getWorkArea(window);
+        if (!workArea)
+            return;
+        
+        const width = Math.floor(workArea.width / 2);
+        const rect = {
+            x: side === 'right' ? workArea.x + workArea.width - width : workArea.x,
+            y: workArea.y,
+            width,
+            height: workArea.height,
+        };
+        
+        window.move_resize_frame(true, rect.x, rect.y, rect.width, rect.height);
+        
+        const tracked = this._windows.get(window);
+        if (tracked)
+            tracked.placedTile = {side, rect};
+    }
+    
+    /**
+     * Formats the set state flags for log messages, e.g. " [maximized, above]".
+     */
+    _describeState(state) {
+        const flags = Object.keys(state ?? {})
+            .filter(flag => state[flag])
+            .map(flag => flag === 'tiled' ? `tiled ${state.tiled}` : flag);
+        return flags.length > 0 ? ` [${flags.join(', ')}]` : '';
+    }
+    
+    /**
+     * Gets the work area of a monitor on a window's workspace.
+     * GNOME 49: Use workspace's get_work_area_for_monitor method
+     * @param {number} [monitorIndex] - Defaults to the window's monitor
+     * @returns {Mtk.Rectangle|null} The work area, or null if the window has no workspace
+     */
+    _getWorkArea(window, monitorIndex = window.get_monitor()) {
+        const workspace = window.get_workspace();
+        if (!workspace)
+            return null;
+        return workspace.get_work_area_for_monitor(monitorIndex);
+    }
+    
+    /**
+     * Checks whether a saved work-area-relative position keeps a window of
+     * the given size entirely inside the work area.
+     * Entries saved before positions were tracked have no x/y and never match.
+     */
+    _isPositionOnScreen(savedGeometry, width, height, workArea) {
+        const {x, y} = savedGeometry;
+        
+        if (!Number.isInteger(x) || !Number.isInteger(y))
+            return false;
+        
+        return x >= 0 && y >= 0 &&
+               x + width <= workArea.width &&
+               y + height <= workArea.height;
+    }
+    
+    /**
+     * Handles window size change events (debounced).
+     */
+    _onSizeChanged(window) {
+        const windowId = this._getWindowId(window);
+        const frameRect = window.get_frame_rect();
+        logger.debug(`UPDATE DETECTED: "${windowId}" size-changed to ${frameRect.width}x${frameRect.height}`);
+        
+        this._scheduleWindowSave(window);
+    }
+    
+    /**
+     * Handles always-on-top and on-all-workspaces changes (debounced).
+     */
+    _onStateChanged(window) {
+        const windowId = this._getWindowId(window);
+        logger.debug(`UPDATE DETECTED: "${windowId}" state changed to${this._describeState(this._getWindowState(window)) || ' [normal]'}`);
+        
+        this._scheduleWindowSave(window);
+    }
+    
+    /**
+     * Handles a window moving to another workspace (debounced).
+     */
+    _onWorkspaceChanged(window) {
+        const windowId = this._getWindowId(window);
+        const workspace = window.get_workspace();
+        
+        // Windows on all workspaces (or being unmanaged) have none
+        if (!workspace)
+            return;
+        
+        logger.debug(`UPDATE DETECTED: "${windowId}" moved to workspace ${workspace.index()}`);
+        
+        this._scheduleWindowSave(window);
+    }
+    
+    /**
+     * Schedules a debounced save of a window's geometry and state.
+     */
+    _scheduleWindowSave(window) {
+        const tracked = this._windows.get(window);
+        if (!tracked)
+            return;
+        
+        tracked.scheduleSave(this._settings.get_int('size-change-debounce-ms'),
+            () => this._saveWindowSize(window));
+    }
+    
+    /**
+     * Handles resize operation completion (grab-op-end).
+     */
+    _onGrabOpEnd(display, window, grabOp) {
+        if (!window)
+            return;
+        
+        // Check if this was a resize or move operation
+        // Use explicit checks for all resize and move grab operations
+        const resizeOps = [
+            Meta.GrabOp.RESIZING_NW,
+            Meta.GrabOp.RESIZING_N,
+            Meta.GrabOp.RESIZING_NE,
+            Meta.GrabOp.RESIZING_W,
+            Meta.GrabOp.RESIZING_E,
+            Meta.GrabOp.RESIZING_SW,
+            Meta.GrabOp.RESIZING_S,
+            Meta.GrabOp.RESIZING_SE,
+        ];
+        const moveOps = [
+            Meta.GrabOp.MOVING,
+            Meta.GrabOp.MOVING_UNCONSTRAINED,
+            Meta.GrabOp.KEYBOARD_MOVING,
+        ];
+        
+        const isResize = resizeOps.includes(grabOp);
+        const isMove = moveOps.includes(grabOp);
+        
+        if (!isResize && !isMove)
+            return;
+        
+        if (!this._isTrackableWindow(window))
+            return;
+        
+        const windowId = this._getWindowId(window);
+        const frameRect = window.get_frame_rect();
+        logger.debug(`UPDATE DETECTED: "${windowId}" ${isMove ? 'move' : 'resize'} grab ended at ${frameRect.width}x${frameRect.height} (${frameRect.x}, ${frameRect.y})`);
+        
+        // Save immediately after the grab completes (user intent is clear)
+        this._saveWindowSize(window);
+    }
+    
+    /**
+     * Handles monitors being added, removed or reconfigured and work area
+     * changes. While these come in, mutter moves windows around on its
+     * own, so saving is suppressed until they have settled.
+     */
+    _onLayoutChanged() {
+        if (this._layoutChangeTimeoutId)
+            GLib.Source.remove(this._layoutChangeTimeoutId);
+        else
+            logger.debug('LAYOUT CHANGING: saving suspended');
+        
+        this._layoutChangeTimeoutId = GLib.timeout_add(
             GLib.PRIORITY_DEFAULT,
-            RESTORE_FALLBACK_DELAY_MS,
+            LAYOUT_SETTLE_MS,
             () => {
-                // Clear the signal if it exists
-                if (pending.signalId && actor) {
-                    try {
-                        actor.disconnect(pending.signalId);
-                    } catch (e) {
-                        // Ignore
-                    }
-                }
-                pending.signalId = null;
-                pending.timeoutId = null;
-                this._pendingRestoration.delete(window);
-
-                // Attempt restoration with retry logic
-                this._attemptRestoration(window, savedSize, windowInstanceKey, 0);
-
+                this._layoutChangeTimeoutId = 0;
+                this._onLayoutSettled();
                 return GLib.SOURCE_REMOVE;
             }
         );
+    }
+    
+    /**
+     * Fits the tracked windows to the monitor layout after it has settled.
+     * When the layout changed, windows with geometry saved for the new
+     * layout get it back, e.g. when a monitor they were on returns.
+     * Other windows that ended up partly off-screen are moved back into
+     * the work area of their monitor. When only the work area changed,
+     * e.g. a panel or dock was resized, windows are only moved back if
+     * they no longer overlap any monitor, so windows deliberately left
+     * partly off-screen stay there.
+     */
+    _onLayoutSettled() {
+        const previousKey = this._layoutKey;
+        const layoutKey = this._getMonitorLayoutKey();
+        const layoutChanged = layoutKey !== previousKey;
+        
+        this._layoutKey = layoutKey;
+        
+        if (layoutChanged) {
+            logger.info(`LAYOUT CHANGED: [${previousKey}] -> [${layoutKey}]`);
+            this._recordEvent('layout-changed', {from: previousKey, to: layoutKey});
+        }
+        
+        for (const tracked of this._windows.values()) {
+            const window = tracked.window;
+            
+            if (tracked.state !== WindowState.TRACKED || window.minimized)
+                continue;
+            
+            const windowId = this._resolveWindowId(window);
+            if (!windowId)
+                continue;
+            
+            if (!layoutChanged && this._isOnAnyMonitor(window))
+                continue;
+            
+            const storageId = this._getStorageId(window, windowId);
+            const saved = layoutChanged ? this._dataStore.get(storageId, layoutKey) : null;
+            
+            if (saved && this._restoreWindowSize(window, saved)) {
+                this._recordEvent('layout-restored', {windowId: storageId, layoutKey});
+                continue;
+            }
+            
+            this._refitWindow(window, storageId);
+        }
+    }
+    
+    /**
+     * Checks whether any part of a window lies on a monitor.
+     */
+    _isOnAnyMonitor(window) {
+        const frameRect = window.get_frame_rect();
+        
+        for (let i = 0; i < global.display.get_n_monitors(); i++) {
+            const monitor = global.display.get_monitor_geometry(i);
+            if (frameRect.x < monitor.x + monitor.width && frameRect.x + frameRect.width > monitor.x &&
+                frameRect.y < monitor.y + monitor.height && frameRect.y + frameRect.height > monitor.y)
+                return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Moves a window that lies partly outside the work area of its
+     * monitor back inside, shrinking it where it doesn't fit.
+     * Maximized and fullscreen windows are left to mutter.
+     */
+    _refitWindow(window, windowId) {
+        if (window.is_maximized() || window.fullscreen)
+            return;
+        
+        const workArea = this._getWorkArea(window);
+        if (!workArea)
+            return;
+        
+        const frameRect = window.get_frame_rect();
+        const width = Math.min(frameRect.width, workArea.width);
+        const height = Math.min(frameRect.height, workArea.height);
+        const x = Math.min(Math.max(frameRect.x, workArea.x), workArea.x + workArea.width - width);
+        const y = Math.min(Math.max(frameRect.y, workArea.y), workArea.y + workArea.height - height);
+        
+        if (x === frameRect.x && y === frameRect.y &&
+            width === frameRect.width && height === frameRect.height)
+            return;
+        
+        window.move_resize_frame(true, x, y, width, height);
+        
+        logger.info(`WINDOW REFITTED: "${windowId}" ${frameRect.width}x${frameRect.height} at (${frameRect.x}, ${frameRect.y}) -> ${width}x${height} at (${x}, ${y})`);
+        this._recordEvent('refitted', {windowId, width, height, x: x - workArea.x, y: y - workArea.y});
+    }
+    
+    /**
+     * Handles window about to be destroyed.
+     * Saves the final size before the window disappears, unless it closes
+     * before its identification or restoration finished.
+     */
+    _onWindowUnmanaging(tracked) {
+        const window = tracked.window;
+        
+        // Save final size
+        if (tracked.state === WindowState.TRACKED && this._isTrackableWindow(window)) {
+            const windowId = this._getWindowId(window);
+            logger.debug(`UPDATE DETECTED: "${windowId}" window closing (unmanaging)`);
+            this._saveWindowSize(window);
+        }
+        
+        // Clean up tracking
+        const wasIdentified = tracked.isIdentified;
+        this._untrackWindow(tracked);
+        
+        if (wasIdentified)
+            this.emit('tracked-windows-changed');
+    }
+    
+    /**
+     * Saves the current size, work-area-relative position and state flags
+     * of a window.
+     * @param {boolean} [explicit] - Whether the user asked for this save,
+     *   which then also happens while paused or for a locked entry
+     * @returns {boolean} True if geometry or state was saved, or is
+     *   already saved unchanged
+     */
+    _saveWindowSize(window, explicit = false) {
+        try {
+            // Don't save if minimized
+            if (window.minimized)
+                return false;
+            
+            if (!explicit && this._settings.get_boolean('paused'))
+                return false;
+            
+            // Don't save while monitors or work areas are changing, windows
+            // are moved around by mutter then
+            if (!explicit && this._layoutChangeTimeoutId)
+                return false;
+            
+            // Don't save windows still being restored, their geometry isn't final yet
+            const tracked = this._windows.get(window);
+            if (!explicit && tracked && tracked.state !== WindowState.TRACKED)
+                return false;
+            
+            const windowId = this._resolveWindowId(window);
+            
+            if (!windowId)
+                return false;
+            
+            if (!explicit && this._isAppListed('disabled-apps', this._getWindowId(window)))
+                return false;
+            
+            // Don't save windows a rule says never to save
+            if (!this._rules.getPolicy(window).save)
+                return false;
+            
+            const storageId = this._getStorageId(window, windowId);
+            
+            if (!explicit && this._dataStore.isLocked(storageId))
+                return false;
+            const state = this._getWindowState(window);
+            
+            // While maximized, fullscreen or tiled the frame rect isn't the
+            // normal geometry, so only record the state and keep the saved geometry
+            if (state.maximized || state.fullscreen || state.tiled) {
+                const layoutKey = this._getMonitorLayoutKey();
+                if (this._dataStore.setState(storageId, layoutKey, state))
+                    this._recordEvent('saved', {windowId: storageId, layoutKey, state});
+                this._saveWindowWorkspace(window, storageId, state);
+                return true;
+            }
+            
+            const geometry = this._captureGeometry(window);
+            
+            if (!geometry)
+                return false;
+            
+            const layoutKey = this._getMonitorLayoutKey();
+            const changed = this._dataStore.set(storageId, layoutKey, {...geometry, state});
+            
+            if (changed) {
+                this._recordEvent('saved', {
+                    windowId: storageId,
+                    layoutKey,
+                    width: geometry.width,
+                    height: geometry.height,
+                    explicit,
+                });
+                this.emit('size-saved', storageId, layoutKey, geometry.width, geometry.height);
+            }
+            
+            this._saveWindowWorkspace(window, storageId, state);
+            
+            logger.debug(`Saved ${storageId}: ${geometry.width}x${geometry.height} at (${geometry.x}, ${geometry.y}) on ${geometry.monitor}`);
+            
+            return true;
+            
+        } catch (e) {
+            logger.error(`Error saving window size: ${e.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Gets a window's current frame geometry in the form it is stored in,
+     * with the position relative to the work area of its monitor, or for
+     * dialogs relative to their parent window.
+     * @returns {object|null} {x, y, width, height, monitor, workArea, scale},
+     *   or null if the work area is unknown or a dialog's parent is gone
+     */
+    _captureGeometry(window) {
+        const frameRect = window.get_frame_rect();
+        const workArea = this._getWorkArea(window);
+        const tracked = this._windows.get(window);
+        
+        if (!workArea || (tracked?.dialogId && !tracked.parent))
+            return null;
+        
+        const origin = tracked?.parent ? tracked.parent.get_frame_rect() : workArea;
+        
+        return {
+            x: frameRect.x - origin.x,
+            y: frameRect.y - origin.y,
+            width: frameRect.width,
+            height: frameRect.height,
+            monitor: this._getMonitorConnectors()[window.get_monitor()],
+            workArea: {width: workArea.width, height: workArea.height},
+            scale: global.display.get_monitor_scale(window.get_monitor()),
+        };
+    }
+    
+    /**
+     * Records the workspace a window is on. Windows on all workspaces
+     * keep the workspace recorded before they were made sticky; dialogs
+     * follow their parent.
+     */
+    _saveWindowWorkspace(window, windowId, state) {
+        if (state.sticky || this._windows.get(window)?.dialogId)
+            return;
+        
+        const workspace = window.get_workspace();
+        if (workspace)
+            this._dataStore.setWorkspace(windowId, workspace.index());
+    }
+}
 
-        this._pendingRestoration.set(window, pending);
+// =============================================================================
+// SESSION RESTORE CLASS
+// =============================================================================
+
+/**
+ * Records which apps are open and offers to relaunch those that were open
+ * when the last session ended. Relaunched windows are restored like any
+ * other new window, so they get their saved geometry, monitor and
+ * workspace as they appear.
+ *
+ * The record is kept up to date while windows open and close, and frozen
+ * once a logout, restart or shutdown is confirmed, so apps quitting while
+ * the session ends don't drop out of it.
+ */
+class SessionRestorer {
+    constructor(dataStore, settings, windowManager) {
+        this._dataStore = dataStore;
+        this._settings = settings;
+        this._windowManager = windowManager;
+        
+        // Tell a new login apart from the extension being re-enabled,
+        // e.g. after the screen was unlocked; PIDs are reused across boots
+        this._shellPid = new Gio.Credentials().get_unix_pid();
+        this._bootId = this._readBootId();
+        
+        // Set while the session is ending
+        this._frozen = false;
+        
+        // Notification source of the relaunch offer
+        this._source = null;
+        
+        // Offer the last session's apps before the record is replaced
+        this._offerRelaunch(dataStore.getSession());
+        this._record();
+        
+        this._windowsChangedId = windowManager.connect('tracked-windows-changed', () => this._record());
+        
+        this._endSessionSubscriptionId = Gio.DBus.session.signal_subscribe(
+            null,
+            END_SESSION_DIALOG_INTERFACE,
+            null,
+            END_SESSION_DIALOG_PATH,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (connection, sender, path, iface, signalName) => this._onEndSessionSignal(signalName)
+        );
+    }
+    
+    /**
+     * Freezes the record when the logout dialog is confirmed, and
+     * resumes recording when it is cancelled.
+     */
+    _onEndSessionSignal(signalName) {
+        if (signalName.startsWith('Confirmed')) {
+            this._record();
+            this._frozen = true;
+            logger.info(`SESSION ENDING: ${signalName}, keeping the open apps recorded`);
+        } else if (signalName === 'Canceled') {
+            this._frozen = false;
+            this._record();
+        }
+    }
+    
+    /**
+     * Records the number of tracked windows open per app.
+     */
+    _record() {
+        if (this._frozen)
+            return;
+        
+        const tracker = Shell.WindowTracker.get_default();
+        const apps = {};
+        
+        for (const window of this._windowManager.getTrackedWindows()) {
+            // Dialogs open with their parent
+            if (window.get_transient_for())
+                continue;
+            
+            const app = tracker.get_window_app(window);
+        
+            // Only apps with a .desktop file can be launched again
+            if (!app || app.is_window_backed() || !app.get_id())
+                continue;
+        
+            apps[app.get_id()] = (apps[app.get_id()] ?? 0) + 1;
+        }
+        
+        const sorted = Object.fromEntries(Object.entries(apps).sort(([a], [b]) => a.localeCompare(b)));
+        this._dataStore.setSession(sorted, this._shellPid, this._bootId);
     }
     
     /**
-     * Clears any pending restoration for a window.
+     * Reads the ID of the current boot.
+     * @returns {string|null} The boot ID, or null if unavailable
      */
-    _clearPendingRestoration(window) {
-        const pending = this._pendingRestoration.get(window);
-        if (pending) {
-            if (pending.timeoutId) {
-                GLib.Source.remove(pending.timeoutId);
-            }
-            if (pending.signalId) {
-                try {
-                    const actor = window.get_compositor_private();
-                    if (actor)
-                        actor.disconnect(pending.signalId);
-                } catch (e) {
-                    // Actor may be gone
-                }
-            }
-            this._pendingRestoration.delete(window);
+    _readBootId() {
+        try {
+            const [, contents] = GLib.file_get_contents(BOOT_ID_PATH);
+            return new TextDecoder('utf-8').decode(contents).trim();
+        } catch (e) {
+            logger.warn(`Could not read the boot ID: ${e.message}`);
+            return null;
         }
     }
     
     /**
-     * Attempts to restore window size with retry logic.
-     * Used as fallback when immediate/first-frame restoration fails.
+     * Whether a session record was made by this GNOME Shell process.
+     */
+    _isCurrentSession(session) {
+        return session.shellPid === this._shellPid &&
+               (session.bootId ?? null) === this._bootId;
+    }
+    
+    /**
+     * Offers to relaunch the apps of the last session that aren't running,
+     * or relaunches them right away, depending on the session-restore setting.
      */
-    _attemptRestoration(window, savedSize, windowInstanceKey, attempt) {
-        // Max attempts to prevent infinite loops
-        const MAX_RESTORE_ATTEMPTS = 5;
-        const RESTORE_RETRY_DELAY_MS = 50;
+    _offerRelaunch(session) {
+        const mode = this._settings.get_string('session-restore');
         
-        if (attempt >= MAX_RESTORE_ATTEMPTS)
+        if (mode === 'off' || !session || this._isCurrentSession(session))
             return;
         
-        // Check if already restored
-        if (this._restoredWindows.has(windowInstanceKey))
+        const appSystem = Shell.AppSystem.get_default();
+        const apps = Object.entries(session.apps)
+            .map(([appId, windows]) => [appSystem.lookup_app(appId), windows])
+            .filter(([app]) => app && app.state === Shell.AppState.STOPPED);
+        
+        if (apps.length === 0)
             return;
         
-        // Try to restore now
-        const success = this._restoreWindowSize(window, savedSize, windowInstanceKey);
-        
-        if (!success) {
-            // Schedule retry
-            const pending = {
-                timeoutId: GLib.timeout_add(
-                    GLib.PRIORITY_DEFAULT,
-                    RESTORE_RETRY_DELAY_MS,
-                    () => {
-                        this._pendingRestoration.delete(window);
-                        this._attemptRestoration(window, savedSize, windowInstanceKey, attempt + 1);
-                        return GLib.SOURCE_REMOVE;
-                    }
-                )
-            };
-            this._pendingRestoration.set(window, pending);
+        if (mode === 'always') {
+            this._relaunch(apps);
+            return;
         }
+        
+        const names = apps.map(([app]) => app.get_name());
+        const listed = names.length > 3
+            ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more`
+            : names.join(', ');
+        
+        this._source = new MessageTray.Source({
+            title: 'Window Size Tracker',
+            iconName: 'preferences-system-windows-symbolic',
+        });
+        this._source.connect('destroy', () => {
+            this._source = null;
+        });
+        Main.messageTray.add(this._source);
+        
+        const notification = new MessageTray.Notification({
+            source: this._source,
+            title: 'Restore last session?',
+            body: `Reopen ${listed} with their saved window sizes`,
+        });
+        notification.addAction('Restore', () => this._relaunch(apps));
+        this._source.addNotification(notification);
     }
     
     /**
-     * Restores the saved size to a window and centers it on the screen.
-     * @returns {boolean} True if restoration was successful
+     * Launches apps with as many windows as they had open, unless they
+     * have windows already.
+     * @param {Array} apps - [Shell.App, window count] pairs
      */
-    _restoreWindowSize(window, savedSize, windowInstanceKey) {
-        try {
-            // Verify window is still valid and mapped
-            if (!window.get_compositor_private())
-                return false;
-            
-            // Don't restore if window is maximized or fullscreen
-            // GNOME 49: Use is_maximized() instead of get_maximized()
-            if (window.is_maximized() || window.fullscreen) {
-                // Mark as "restored" so we don't keep retrying
-                this._restoredWindows.add(windowInstanceKey);
-                return true;
+    _relaunch(apps) {
+        for (const [app, windows] of apps) {
+            // Apps started since the offer was made are left alone
+            if (app.get_n_windows() > 0) {
+                logger.info(`SESSION RESTORE: Skipped "${app.get_id()}", it already has windows`);
+                continue;
             }
-            
-            // Don't restore if window is minimized - retry later
-            if (window.minimized)
-                return false;
-            
-            // Get current geometry to check if window is ready
-            const frameRect = window.get_frame_rect();
-            
-            // If the window has no size yet, it's not ready
-            if (frameRect.width === 0 || frameRect.height === 0)
-                return false;
-            
-            // Validate saved dimensions
-            const {width, height} = savedSize;
-            
-            if (width < MIN_WINDOW_SIZE || height < MIN_WINDOW_SIZE)
-                return false;
-            
-            // Get monitor work area to ensure window fits
-            // GNOME 49: Use workspace's get_work_area_for_monitor method
-            const monitorIndex = window.get_monitor();
-            const workspace = window.get_workspace();
-            if (!workspace)
-                return false;
-            const workArea = workspace.get_work_area_for_monitor(monitorIndex);
-            
-            // Clamp dimensions to work area
-            const newWidth = Math.min(width, workArea.width);
-            const newHeight = Math.min(height, workArea.height);
-            
-            // Calculate centered position within work area
-            const newX = workArea.x + Math.floor((workArea.width - newWidth) / 2);
-            const newY = workArea.y + Math.floor((workArea.height - newHeight) / 2);
-            
-            // Check if we actually need to change anything
-            const TOLERANCE = 5;
-            const sizeMatch = Math.abs(frameRect.width - newWidth) <= TOLERANCE &&
-                              Math.abs(frameRect.height - newHeight) <= TOLERANCE;
-            const posMatch = Math.abs(frameRect.x - newX) <= TOLERANCE &&
-                             Math.abs(frameRect.y - newY) <= TOLERANCE;
-            
-            if (sizeMatch && posMatch) {
-                // Already at the right size and position
-                this._restoredWindows.add(windowInstanceKey);
-                return true;
+        
+            // Apps that can't open more windows get one
+            const count = app.can_open_new_window() ? windows : 1;
+        
+            logger.info(`SESSION RESTORE: Launching "${app.get_id()}" with ${count} windows`);
+        
+            try {
+                for (let i = 0; i < count; i++)
+                    app.open_new_window(-1);
+            } catch (e) {
+                logger.error(`Error launching "${app.get_id()}": ${e.message}`);
             }
-            
-            // Apply the new size and centered position
-            window.move_resize_frame(true, newX, newY, newWidth, newHeight);
-            
-            // Mark as restored
-            this._restoredWindows.add(windowInstanceKey);
-            
-            console.log(`[WindowSizeTracker] STATE RESTORED: "${this._getWindowId(window)}" -> ${newWidth}x${newHeight} centered at (${newX}, ${newY})`);
-            
-            return true;
-            
-        } catch (e) {
-            console.error(`[WindowSizeTracker] Error restoring window: ${e.message}`);
-            return false;
         }
     }
     
     /**
-     * Handles window size change events (debounced).
+     * Records the apps open as the extension is disabled, then stops
+     * recording.
      */
-    _onSizeChanged(window) {
-        const windowId = this._getWindowId(window);
-        const frameRect = window.get_frame_rect();
-        console.log(`[WindowSizeTracker] UPDATE DETECTED: "${windowId}" size-changed to ${frameRect.width}x${frameRect.height}`);
+    destroy() {
+        this._record();
         
-        // Clear existing timer for this window
-        const existingTimer = this._sizeChangeTimers.get(window);
-        if (existingTimer) {
-            GLib.Source.remove(existingTimer);
-        }
+        this._windowManager.disconnect(this._windowsChangedId);
+        Gio.DBus.session.signal_unsubscribe(this._endSessionSubscriptionId);
         
-        // Schedule debounced save
-        const timeoutId = GLib.timeout_add(
-            GLib.PRIORITY_DEFAULT,
-            SIZE_CHANGE_DEBOUNCE_MS,
-            () => {
-                this._sizeChangeTimers.delete(window);
-                this._saveWindowSize(window);
-                return GLib.SOURCE_REMOVE;
-            }
-        );
+        this._source?.destroy();
+        this._source = null;
+    }
+}
+
+// =============================================================================
+// UNDO NOTIFICATION CLASS
+// =============================================================================
+
+/**
+ * Offers to undo the restoration of each new window in a transient
+ * notification, when the restore-undo-notification setting is on. Only
+ * the most recent restoration is offered; the undo keybinding works for
+ * any restored window.
+ */
+class RestoreUndoNotifier {
+    constructor(settings, windowManager) {
+        this._settings = settings;
+        this._windowManager = windowManager;
+        
+        // Notification source, and the notification currently shown
+        this._source = null;
+        this._notification = null;
         
-        this._sizeChangeTimers.set(window, timeoutId);
+        this._undoableId = windowManager.connect('restoration-undoable',
+            (manager, window, windowId) => this._onRestorationUndoable(window, windowId));
     }
     
     /**
-     * Handles resize operation completion (grab-op-end).
+     * Replaces the notification shown with one for a newly restored window.
      */
-    _onGrabOpEnd(display, window, grabOp) {
-        if (!window)
+    _onRestorationUndoable(window, windowId) {
+        if (!this._settings.get_boolean('restore-undo-notification'))
             return;
         
-        // Check if this was a resize operation
-        // Use explicit checks for all resize grab operations
-        const resizeOps = [
-            Meta.GrabOp.RESIZING_NW,
-            Meta.GrabOp.RESIZING_N,
-            Meta.GrabOp.RESIZING_NE,
-            Meta.GrabOp.RESIZING_W,
-            Meta.GrabOp.RESIZING_E,
-            Meta.GrabOp.RESIZING_SW,
-            Meta.GrabOp.RESIZING_S,
-            Meta.GrabOp.RESIZING_SE,
-        ];
-        
-        const isResize = resizeOps.includes(grabOp);
+        this._notification?.destroy();
         
-        if (!isResize)
-            return;
+        if (!this._source) {
+            this._source = new MessageTray.Source({
+                title: 'Window Size Tracker',
+                iconName: 'preferences-system-windows-symbolic',
+            });
+            this._source.connect('destroy', () => {
+                this._source = null;
+                this._notification = null;
+            });
+            Main.messageTray.add(this._source);
+        }
         
-        if (!this._isTrackableWindow(window))
-            return;
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        const name = app?.get_name() ?? window.get_title() ?? windowId;
+        
+        const notification = new MessageTray.Notification({
+            source: this._source,
+            title: 'Window size restored',
+            body: `${name} was opened with its saved size and position`,
+            isTransient: true,
+        });
+        notification.connect('destroy', () => {
+            if (this._notification === notification)
+                this._notification = null;
+        });
+        notification.addAction('Undo', () => this._windowManager.undoRestoration(window));
+        notification.addAction('Stop Restoring App', () => {
+            this._windowManager.undoRestoration(window);
+            this._windowManager.excludeFromRestoration(window);
+        });
+        
+        this._notification = notification;
+        this._source.addNotification(notification);
+    }
+    
+    /**
+     * Withdraws the notification shown and stops offering undo.
+     */
+    destroy() {
+        this._windowManager.disconnect(this._undoableId);
         
-        const windowId = this._getWindowId(window);
-        const frameRect = window.get_frame_rect();
-        console.log(`[WindowSizeTracker] UPDATE DETECTED: "${windowId}" resize grab ended at ${frameRect.width}x${frameRect.height}`);
+        this._source?.destroy();
+        this._source = null;
+        this._notification = null;
+    }
+}
+
+// =============================================================================
+// QUICK SETTINGS CLASSES
+// =============================================================================
+
+/**
+ * Quick Settings toggle that pauses and resumes tracking, with a menu
+ * showing what is saved for the focused window and actions for it.
+ */
+const WindowTrackerToggle = GObject.registerClass(
+class WindowTrackerToggle extends QuickMenuToggle {
+    constructor(settings, windowManager) {
+        super({
+            title: 'Window Sizes',
+            iconName: 'preferences-system-windows-symbolic',
+            toggleMode: true,
+        });
+        
+        this._windowManager = windowManager;
+        
+        // Checked while tracking, i.e. not paused
+        settings.bind('paused', this, 'checked', Gio.SettingsBindFlags.INVERT_BOOLEAN);
+        
+        this._lockItem = new PopupMenu.PopupSwitchMenuItem('Lock This Size', false);
+        this._lockItem.connect('toggled', (item, state) => {
+            this._withFocusedWindow(window => this._windowManager.setWindowLocked(window, state));
+        });
+        this.menu.addMenuItem(this._lockItem);
+        
+        this._actionItems = [
+            this.menu.addAction('Save Current Size Now', () => {
+                this._withFocusedWindow(window => this._windowManager.saveWindowNow(window));
+            }),
+            this.menu.addAction('Forget This App', () => {
+                this._withFocusedWindow(window => this._windowManager.forgetApp(window));
+            }),
+        ];
         
-        // Save immediately after resize completes (user intent is clear)
-        this._saveWindowSize(window);
+        // Refresh whenever the menu is shown, it reflects the focused window
+        this.menu.connect('open-state-changed', (menu, isOpen) => {
+            if (isOpen)
+                this._sync();
+        });
+        this._sync();
     }
     
     /**
-     * Handles window about to be destroyed.
-     * Saves the final size before the window disappears.
+     * Runs an action on the focused window, then refreshes the menu.
      */
-    _onWindowUnmanaging(window) {
-        // Save final size
-        if (this._isTrackableWindow(window)) {
-            const windowId = this._getWindowId(window);
-            console.log(`[WindowSizeTracker] UPDATE DETECTED: "${windowId}" window closing (unmanaging)`);
-            this._saveWindowSize(window);
-        }
-        
-        // Clean up tracking
-        this._untrackWindow(window);
+    _withFocusedWindow(action) {
+        const window = global.display.focus_window;
+        if (window)
+            action(window);
+        this._sync();
     }
     
     /**
-     * Saves the current size of a window.
+     * Updates the header and item sensitivity for the focused window.
      */
-    _saveWindowSize(window) {
+    _sync() {
+        const window = global.display.focus_window;
+        const info = window ? this._windowManager.getWindowInfo(window) : null;
+        
+        let subtitle = 'No tracked window focused';
+        if (info) {
+            const {geometry} = info;
+            subtitle = geometry?.width
+                ? `${info.windowId}: ${geometry.width}x${geometry.height}`
+                : `${info.windowId}: no saved size`;
+            if (info.locked)
+                subtitle += ' (locked)';
+        }
+        
+        this.menu.setHeader('preferences-system-windows-symbolic', 'Window Sizes', subtitle);
+        
+        this._lockItem.setToggleState(Boolean(info?.locked));
+        this._lockItem.setSensitive(info !== null);
+        for (const item of this._actionItems)
+            item.setSensitive(info !== null);
+    }
+});
+
+/**
+ * System indicator holding the toggle; its top-bar icon is shown while
+ * tracking is paused.
+ */
+const WindowTrackerIndicator = GObject.registerClass(
+class WindowTrackerIndicator extends SystemIndicator {
+    constructor(settings, windowManager) {
+        super();
+        
+        this._indicator = this._addIndicator();
+        this._indicator.iconName = 'preferences-system-windows-symbolic';
+        settings.bind('paused', this._indicator, 'visible', Gio.SettingsBindFlags.GET);
+        
+        this.quickSettingsItems.push(new WindowTrackerToggle(settings, windowManager));
+    }
+    
+    destroy() {
+        for (const item of this.quickSettingsItems)
+            item.destroy();
+        this.quickSettingsItems = [];
+        
+        super.destroy();
+    }
+});
+
+// =============================================================================
+// D-BUS SERVICE CLASS
+// =============================================================================
+
+const DBUS_INTERFACE_XML = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.WindowSizeTracker">
+    <method name="ListEntries">
+      <arg type="as" direction="out" name="windowIds"/>
+    </method>
+    <method name="GetEntry">
+      <arg type="s" direction="in" name="windowId"/>
+      <arg type="s" direction="out" name="entryJson"/>
+    </method>
+    <method name="SetEntry">
+      <arg type="s" direction="in" name="windowId"/>
+      <arg type="s" direction="in" name="entryJson"/>
+    </method>
+    <method name="SetGeometry">
+      <arg type="s" direction="in" name="windowId"/>
+      <arg type="a{sv}" direction="in" name="geometry"/>
+      <arg type="b" direction="out" name="changed"/>
+    </method>
+    <method name="ForgetEntry">
+      <arg type="s" direction="in" name="windowId"/>
+      <arg type="b" direction="out" name="removed"/>
+    </method>
+    <method name="ListWindows">
+      <arg type="a(uss)" direction="out" name="windows"/>
+    </method>
+    <method name="RestoreWindow">
+      <arg type="u" direction="in" name="windowSequence"/>
+      <arg type="b" direction="out" name="restored"/>
+    </method>
+    <method name="SnapshotWindows">
+      <arg type="u" direction="out" name="count"/>
+    </method>
+    <method name="Prune">
+      <arg type="as" direction="out" name="removedIds"/>
+    </method>
+    <method name="ListSnapshots">
+      <arg type="as" direction="out" name="names"/>
+    </method>
+    <method name="SaveSnapshot">
+      <arg type="s" direction="in" name="name"/>
+      <arg type="u" direction="out" name="count"/>
+    </method>
+    <method name="ApplySnapshot">
+      <arg type="s" direction="in" name="name"/>
+      <arg type="u" direction="out" name="count"/>
+    </method>
+    <method name="DeleteSnapshot">
+      <arg type="s" direction="in" name="name"/>
+      <arg type="b" direction="out" name="removed"/>
+    </method>
+    <method name="ExportEntries">
+      <arg type="as" direction="in" name="apps"/>
+      <arg type="s" direction="out" name="exportJson"/>
+    </method>
+    <method name="ImportEntries">
+      <arg type="s" direction="in" name="exportJson"/>
+      <arg type="s" direction="in" name="strategy"/>
+      <arg type="s" direction="out" name="reportJson"/>
+    </method>
+    <method name="GetEvents">
+      <arg type="s" direction="out" name="eventsJson"/>
+    </method>
+    <signal name="SizeSaved">
+      <arg type="s" name="windowId"/>
+      <arg type="s" name="layoutKey"/>
+      <arg type="i" name="width"/>
+      <arg type="i" name="height"/>
+    </signal>
+    <signal name="WindowRestored">
+      <arg type="s" name="windowId"/>
+      <arg type="u" name="windowSequence"/>
+    </signal>
+  </interface>
+</node>`;
+
+/**
+ * Exports the tracker on the session bus (on GNOME Shell's connection,
+ * so clients address it at org.gnome.Shell, DBUS_OBJECT_PATH).
+ * Entries are exchanged as JSON in the same shape as window-sizes.json;
+ * open windows are addressed by their stable sequence number.
+ */
+class WindowTrackerDBusService {
+    constructor(dataStore, windowManager) {
+        this._dataStore = dataStore;
+        this._windowManager = windowManager;
+        
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(DBUS_INTERFACE_XML, this);
+        this._dbusImpl.export(Gio.DBus.session, DBUS_OBJECT_PATH);
+        
+        this._managerSignals = [
+            windowManager.connect('size-saved', (manager, windowId, layoutKey, width, height) => {
+                this._dbusImpl.emit_signal('SizeSaved',
+                    new GLib.Variant('(ssii)', [windowId, layoutKey, width, height]));
+            }),
+            windowManager.connect('window-restored', (manager, window, windowId) => {
+                this._dbusImpl.emit_signal('WindowRestored',
+                    new GLib.Variant('(su)', [windowId, window.get_stable_sequence()]));
+            }),
+        ];
+    }
+    
+    ListEntries() {
+        return this._dataStore.getWindowIds();
+    }
+    
+    GetEntry(windowId) {
+        const entry = this._dataStore.getEntry(windowId);
+        
+        if (!entry)
+            throw this._error(Gio.DBusError.INVALID_ARGS, `No entry for "${windowId}"`);
+        
+        return JSON.stringify(entry);
+    }
+    
+    SetEntry(windowId, entryJson) {
         try {
-            // Don't save if window is maximized or fullscreen
-            // The "normal" size is already saved
-            if (window.is_maximized() || window.fullscreen)
-                return;
-            
-            // Don't save if minimized
-            if (window.minimized)
-                return;
-            
-            const windowId = this._getWindowId(window);
-            
-            if (!windowId)
-                return;
-            
-            const frameRect = window.get_frame_rect();
-            
-            this._dataStore.set(windowId, frameRect.width, frameRect.height);
-            
-            console.debug(`[WindowSizeTracker] Saved ${windowId}: ${frameRect.width}x${frameRect.height}`);
-            
+            this._dataStore.setEntry(windowId, JSON.parse(entryJson));
+        } catch (e) {
+            throw this._error(Gio.DBusError.INVALID_ARGS, e.message);
+        }
+    }
+    
+    SetGeometry(windowId, geometry) {
+        const {width, height, x, y, monitor} = Object.fromEntries(
+            Object.entries(geometry).map(([key, value]) => [key, value.deepUnpack()]));
+        
+        if (!Number.isInteger(width) || !Number.isInteger(height))
+            throw this._error(Gio.DBusError.INVALID_ARGS, 'Geometry needs integer "width" and "height"');
+        
+        return this._windowManager.saveGeometry(windowId, {width, height, x, y, monitor});
+    }
+    
+    ForgetEntry(windowId) {
+        return this._dataStore.forget(windowId);
+    }
+    
+    ListWindows() {
+        return this._windowManager.getTrackedWindows().map(window => [
+            window.get_stable_sequence(),
+            this._windowManager.getStorageId(window) ?? '',
+            window.get_title() ?? '',
+        ]);
+    }
+    
+    RestoreWindow(windowSequence) {
+        const window = this._windowManager.getTrackedWindows()
+            .find(candidate => candidate.get_stable_sequence() === windowSequence);
+        
+        if (!window)
+            throw this._error(Gio.DBusError.INVALID_ARGS, `No tracked window with sequence ${windowSequence}`);
+        
+        return this._windowManager.restoreWindow(window);
+    }
+    
+    SnapshotWindows() {
+        return this._windowManager.snapshotWindows();
+    }
+    
+    Prune() {
+        return this._dataStore.prune();
+    }
+    
+    ListSnapshots() {
+        return this._dataStore.getSnapshotNames();
+    }
+    
+    SaveSnapshot(name) {
+        try {
+            return this._windowManager.saveSnapshot(name);
+        } catch (e) {
+            throw this._error(Gio.DBusError.INVALID_ARGS, e.message);
+        }
+    }
+    
+    ApplySnapshot(name) {
+        try {
+            return this._windowManager.applySnapshot(name);
+        } catch (e) {
+            throw this._error(Gio.DBusError.INVALID_ARGS, e.message);
+        }
+    }
+    
+    DeleteSnapshot(name) {
+        return this._dataStore.deleteSnapshot(name);
+    }
+    
+    ExportEntries(apps) {
+        return JSON.stringify(this._dataStore.exportEntries(apps));
+    }
+    
+    ImportEntries(exportJson, strategy) {
+        try {
+            return JSON.stringify(this._dataStore.importEntries(JSON.parse(exportJson), strategy));
         } catch (e) {
-            console.error(`[WindowSizeTracker] Error saving window size: ${e.message}`);
+            throw this._error(Gio.DBusError.INVALID_ARGS, e.message);
         }
     }
+    
+    GetEvents() {
+        return JSON.stringify(this._windowManager.getEvents());
+    }
+    
+    /**
+     * Creates an error returned to the D-Bus caller.
+     */
+    _error(code, message) {
+        return new GLib.Error(Gio.DBusError, code, message);
+    }
+    
+    /**
+     * Disconnects from the manager and unexports the object.
+     */
+    destroy() {
+        for (const id of this._managerSignals)
+            this._windowManager.disconnect(id);
+        this._managerSignals = [];
+        
+        this._dbusImpl.unexport();
+        this._dbusImpl = null;
+    }
 }
 
 // =============================================================================
@@ -998,43 +3250,139 @@ class WindowSizeManager {
 export default class WindowSizeTrackerExtension extends Extension {
     constructor(metadata) {
         super(metadata);
+        this._settings = null;
         this._dataStore = null;
+        this._rules = null;
         this._windowManager = null;
+        this._dbusService = null;
+        this._sessionRestorer = null;
+        this._undoNotifier = null;
+        this._indicator = null;
+        this._logLevelChangedId = 0;
     }
     
     enable() {
-        console.log('[WindowSizeTracker] Enabling extension');
+        logger.info('Enabling extension');
         
         // Check if we're running on Wayland
         if (!this._isWayland()) {
-            console.error('[WindowSizeTracker] This extension only supports Wayland. X11 is not supported.');
+            logger.error('This extension only supports Wayland. X11 is not supported.');
             return;
         }
         
+        this._settings = this.getSettings();
+        
+        setLogLevel(this._settings.get_string('log-level'));
+        this._logLevelChangedId = this._settings.connect('changed::log-level',
+            () => setLogLevel(this._settings.get_string('log-level')));
+        
         // Initialize data store
-        this._dataStore = new WindowDataStore(this.path, this.uuid);
+        this._dataStore = new WindowDataStore(this.path, this.uuid, this._settings);
+        
+        // Load user-defined window rules
+        this._rules = new WindowRules(this.uuid);
         
         // Initialize window manager
-        this._windowManager = new WindowSizeManager(this._dataStore);
+        this._windowManager = new WindowSizeManager(this._dataStore, this._settings, this._rules);
         this._windowManager.enable();
         
-        console.log('[WindowSizeTracker] Extension enabled');
+        // Expose the tracker to other processes
+        this._dbusService = new WindowTrackerDBusService(this._dataStore, this._windowManager);
+        
+        // Record the open apps and offer those of the last session
+        this._sessionRestorer = new SessionRestorer(this._dataStore, this._settings, this._windowManager);
+        
+        // Offer to undo the restoration of new windows
+        this._undoNotifier = new RestoreUndoNotifier(this._settings, this._windowManager);
+        
+        this._indicator = new WindowTrackerIndicator(this._settings, this._windowManager);
+        Main.panel.statusArea.quickSettings.addExternalIndicator(this._indicator);
+        
+        this._addKeybindings();
+        
+        logger.info('Extension enabled');
     }
     
     disable() {
-        console.log('[WindowSizeTracker] Disabling extension');
+        logger.info('Disabling extension');
+        
+        if (this._windowManager)
+            this._removeKeybindings();
+        
+        if (this._indicator) {
+            this._indicator.destroy();
+            this._indicator = null;
+        }
+        
+        if (this._undoNotifier) {
+            this._undoNotifier.destroy();
+            this._undoNotifier = null;
+        }
+        
+        if (this._sessionRestorer) {
+            this._sessionRestorer.destroy();
+            this._sessionRestorer = null;
+        }
+        
+        if (this._dbusService) {
+            this._dbusService.destroy();
+            this._dbusService = null;
+        }
         
         if (this._windowManager) {
             this._windowManager.disable();
             this._windowManager = null;
         }
         
+        if (this._rules) {
+            this._rules.destroy();
+            this._rules = null;
+        }
+        
         if (this._dataStore) {
             this._dataStore.destroy();
             this._dataStore = null;
         }
         
-        console.log('[WindowSizeTracker] Extension disabled');
+        if (this._logLevelChangedId) {
+            this._settings.disconnect(this._logLevelChangedId);
+            this._logLevelChangedId = 0;
+        }
+        
+        this._settings = null;
+        
+        logger.info('Extension disabled');
+    }
+    
+    /**
+     * Registers the keyboard shortcuts in KEYBINDING_ACTIONS.
+     */
+    _addKeybindings() {
+        for (const [key, action] of Object.entries(KEYBINDING_ACTIONS)) {
+            Main.wm.addKeybinding(
+                key,
+                this._settings,
+                Meta.KeyBindingFlags.NONE,
+                Shell.ActionMode.NORMAL,
+                () => {
+                    const window = global.display.focus_window;
+                    if (!window)
+                        return;
+                    
+                    const message = action(this._windowManager, window);
+                    Main.osdWindowManager.showOne(window.get_monitor(),
+                        Gio.ThemedIcon.new('preferences-system-windows-symbolic'), message);
+                }
+            );
+        }
+    }
+    
+    /**
+     * Unregisters the keyboard shortcuts.
+     */
+    _removeKeybindings() {
+        for (const key of Object.keys(KEYBINDING_ACTIONS))
+            Main.wm.removeKeybinding(key);
     }
     
     /**
@@ -0,0 +1,135 @@
+/**
+ * Window Size Tracker - Logging
+ *
+ * Leveled logging to the journal and a bounded in-memory history of
+ * tracker events for bug reports. Has no dependencies so it can be
+ * shared by the extension, the data store and the command-line tool.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const LOG_PREFIX = '[WindowSizeTracker]';
+
+// Log levels, from least to most verbose; each includes those before it
+export const LOG_LEVELS = [
+    'error',    // Failures only
+    'warning',  // Also recoverable problems, e.g. skipped rules or corrupt files
+    'info',     // Also windows identified, restored and forgotten
+    'debug',    // Also every detected change and save
+];
+
+const DEFAULT_LOG_LEVEL = 'warning';
+
+let maxLevel = LOG_LEVELS.indexOf(DEFAULT_LOG_LEVEL);
+
+// =============================================================================
+// LOGGING
+// =============================================================================
+
+/**
+ * Sets the most verbose level that is written to the journal.
+ * Unknown levels fall back to the default.
+ */
+export function setLogLevel(level) {
+    const index = LOG_LEVELS.indexOf(level);
+    maxLevel = index >= 0 ? index : LOG_LEVELS.indexOf(DEFAULT_LOG_LEVEL);
+}
+
+/**
+ * Writes messages to the journal, prefixed with the extension name,
+ * when their level is enabled. Errors are always written.
+ */
+export const logger = {
+    error(message) {
+        console.error(`${LOG_PREFIX} ${message}`);
+    },
+
+    warn(message) {
+        if (maxLevel >= LOG_LEVELS.indexOf('warning'))
+            console.warn(`${LOG_PREFIX} ${message}`);
+    },
+
+    info(message) {
+        if (maxLevel >= LOG_LEVELS.indexOf('info'))
+            console.log(`${LOG_PREFIX} ${message}`);
+    },
+
+    debug(message) {
+        if (maxLevel >= LOG_LEVELS.indexOf('debug'))
+            console.log(`${LOG_PREFIX} ${message}`);
+    },
+};
+
+// =============================================================================
+// EVENT HISTORY CLASS
+// =============================================================================
+
+/**
+ * Ring buffer of the most recent tracker events. Events are recorded
+ * regardless of the log level, so a compact record of what happened is
+ * available when something goes wrong.
+ */
+export class EventHistory {
+    constructor(capacity) {
+        this._capacity = capacity;
+
+        // Recorded events, the oldest at this._start once full
+        this._events = [];
+        this._start = 0;
+    }
+
+    /**
+     * The number of events kept. Shrinking it drops the oldest events;
+     * 0 turns recording off.
+     */
+    get capacity() {
+        return this._capacity;
+    }
+
+    set capacity(capacity) {
+        if (capacity === this._capacity)
+            return;
+
+        const events = this.getEvents();
+        this._capacity = capacity;
+        this._events = capacity > 0 ? events.slice(-capacity) : [];
+        this._start = 0;
+    }
+
+    /**
+     * Records an event.
+     * @param {string} type - What happened, e.g. 'identified' or 'restore-skipped'
+     * @param {object} [details] - Further fields, e.g. {windowId, reason}
+     */
+    record(type, details = {}) {
+        if (this._capacity <= 0)
+            return;
+
+        const event = {time: new Date().toISOString(), type, ...details};
+
+        if (this._events.length < this._capacity) {
+            this._events.push(event);
+        } else {
+            this._events[this._start] = event;
+            this._start = (this._start + 1) % this._capacity;
+        }
+    }
+
+    /**
+     * Gets the recorded events.
+     * @returns {object[]} The events, oldest first
+     */
+    getEvents() {
+        return [...this._events.slice(this._start), ...this._events.slice(0, this._start)];
+    }
+
+    /**
+     * Drops all recorded events.
+     */
+    clear() {
+        this._events = [];
+        this._start = 0;
+    }
+}
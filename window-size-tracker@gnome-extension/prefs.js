@@ -0,0 +1,214 @@
+/**
+ * Window Size Tracker - Preferences
+ *
+ * Adw preferences window exposing the tunables stored in the
+ * extension's GSettings schema. The running extension reads these
+ * values on use, so changes take effect without re-enabling it.
+ */
+
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import Gtk from 'gi://Gtk';
+
+import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+export default class WindowSizeTrackerPreferences extends ExtensionPreferences {
+    fillPreferencesWindow(window) {
+        const settings = this.getSettings();
+
+        // Keep settings alive for as long as the window is open
+        window._settings = settings;
+
+        const page = new Adw.PreferencesPage({
+            title: 'General',
+            icon_name: 'preferences-system-symbolic',
+        });
+        window.add(page);
+
+        const trackingGroup = new Adw.PreferencesGroup({
+            title: 'Tracking',
+        });
+        page.add(trackingGroup);
+
+        this._addSwitchRow(trackingGroup, settings, 'paused');
+        this._addListEntryRow(trackingGroup, settings, 'disabled-apps');
+        this._addSwitchRow(trackingGroup, settings, 'track-dialogs');
+
+        const savingGroup = new Adw.PreferencesGroup({
+            title: 'Saving',
+            description: 'When window sizes are recorded',
+        });
+        page.add(savingGroup);
+
+        this._addSpinRow(savingGroup, settings, 'size-change-debounce-ms');
+        this._addSpinRow(savingGroup, settings, 'save-debounce-ms');
+        this._addSpinRow(savingGroup, settings, 'min-window-size');
+
+        const restoreGroup = new Adw.PreferencesGroup({
+            title: 'Restoration',
+            description: 'How saved sizes are applied to new windows',
+        });
+        page.add(restoreGroup);
+
+        this._addSpinRow(restoreGroup, settings, 'restore-fallback-delay-ms');
+        this._addSpinRow(restoreGroup, settings, 'restore-tolerance');
+        this._addSpinRow(restoreGroup, settings, 'nautilus-location-max-attempts');
+        this._addSwitchRow(restoreGroup, settings, 'per-instance-geometry');
+        this._addSpinRow(restoreGroup, settings, 'cascade-offset');
+        this._addComboRow(restoreGroup, settings, 'restore-mode');
+        this._addComboRow(restoreGroup, settings, 'placement');
+        this._addSwitchRow(restoreGroup, settings, 'restore-tiling');
+        this._addComboRow(restoreGroup, settings, 'session-restore');
+        this._addSwitchRow(restoreGroup, settings, 'restore-undo-notification');
+        this._addListEntryRow(restoreGroup, settings, 'restore-excluded-apps');
+
+        const workspaceGroup = new Adw.PreferencesGroup({
+            title: 'Workspaces',
+            description: 'Where new windows are opened',
+        });
+        page.add(workspaceGroup);
+
+        this._addSwitchRow(workspaceGroup, settings, 'restore-workspace');
+        const excludedRow = this._addListEntryRow(workspaceGroup, settings, 'workspace-restore-excluded-apps');
+        settings.bind('restore-workspace', excludedRow, 'sensitive', Gio.SettingsBindFlags.GET);
+
+        const shortcutsGroup = new Adw.PreferencesGroup({
+            title: 'Keyboard Shortcuts',
+            description: 'Acting on the focused window',
+        });
+        page.add(shortcutsGroup);
+
+        this._addListEntryRow(shortcutsGroup, settings, 'save-window-keybinding');
+        this._addListEntryRow(shortcutsGroup, settings, 'restore-window-keybinding');
+        this._addListEntryRow(shortcutsGroup, settings, 'forget-window-keybinding');
+        this._addListEntryRow(shortcutsGroup, settings, 'toggle-app-keybinding');
+        this._addListEntryRow(shortcutsGroup, settings, 'undo-restore-keybinding');
+
+        const diagnosticsGroup = new Adw.PreferencesGroup({
+            title: 'Diagnostics',
+            description: 'What is recorded for troubleshooting',
+        });
+        page.add(diagnosticsGroup);
+
+        this._addComboRow(diagnosticsGroup, settings, 'log-level');
+        this._addSpinRow(diagnosticsGroup, settings, 'event-history-size');
+
+        const storageGroup = new Adw.PreferencesGroup({
+            title: 'Storage',
+            description: 'When saved entries are cleaned up',
+        });
+        page.add(storageGroup);
+
+        this._addSpinRow(storageGroup, settings, 'retention-days');
+        this._addSpinRow(storageGroup, settings, 'location-retention-days');
+        this._addSpinRow(storageGroup, settings, 'max-entries');
+    }
+
+    /**
+     * Adds a spin row bound to an integer settings key.
+     * Title, subtitle and bounds are taken from the schema so they
+     * cannot drift from the key definition.
+     */
+    _addSpinRow(group, settings, key) {
+        const schemaKey = settings.settings_schema.get_key(key);
+        const [, [lower, upper]] = schemaKey.get_range().recursiveUnpack();
+
+        const row = new Adw.SpinRow({
+            title: schemaKey.get_summary(),
+            subtitle: schemaKey.get_description(),
+            adjustment: new Gtk.Adjustment({
+                lower,
+                upper,
+                step_increment: 1,
+                page_increment: 10,
+            }),
+        });
+
+        settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+        group.add(row);
+
+        return row;
+    }
+
+    /**
+     * Adds a switch row bound to a boolean settings key.
+     */
+    _addSwitchRow(group, settings, key) {
+        const schemaKey = settings.settings_schema.get_key(key);
+
+        const row = new Adw.SwitchRow({
+            title: schemaKey.get_summary(),
+            subtitle: schemaKey.get_description(),
+        });
+
+        settings.bind(key, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(row);
+
+        return row;
+    }
+
+    /**
+     * Adds a combo row bound to a string settings key with choices.
+     * The choices are taken from the schema.
+     */
+    _addComboRow(group, settings, key) {
+        const schemaKey = settings.settings_schema.get_key(key);
+        const [, choices] = schemaKey.get_range().recursiveUnpack();
+
+        const row = new Adw.ComboRow({
+            title: schemaKey.get_summary(),
+            subtitle: schemaKey.get_description(),
+            model: Gtk.StringList.new(choices),
+        });
+
+        const load = () => {
+            row.selected = Math.max(0, choices.indexOf(settings.get_string(key)));
+        };
+        load();
+
+        row.connect('notify::selected', () => {
+            if (settings.get_string(key) !== choices[row.selected])
+                settings.set_string(key, choices[row.selected]);
+        });
+
+        const changedId = settings.connect(`changed::${key}`, load);
+        row.connect('destroy', () => settings.disconnect(changedId));
+
+        group.add(row);
+
+        return row;
+    }
+
+    /**
+     * Adds an entry row editing a string array settings key as a
+     * comma-separated list. Changes are written when applied.
+     */
+    _addListEntryRow(group, settings, key) {
+        const schemaKey = settings.settings_schema.get_key(key);
+
+        const row = new Adw.EntryRow({
+            title: `${schemaKey.get_summary()} (comma-separated)`,
+            tooltip_text: schemaKey.get_description(),
+            show_apply_button: true,
+        });
+
+        const load = () => {
+            row.text = settings.get_strv(key).join(', ');
+        };
+        load();
+
+        row.connect('apply', () => {
+            const values = row.text.split(',')
+                .map(value => value.trim())
+                .filter(value => value.length > 0);
+            settings.set_strv(key, values);
+        });
+
+        const changedId = settings.connect(`changed::${key}`, load);
+        row.connect('destroy', () => settings.disconnect(changedId));
+
+        group.add(row);
+
+        return row;
+    }
+}